@@ -45,6 +45,14 @@ class CBOR {
       return this instanceof CBOR.Null;
     }
 
+    getUndefined = function() {
+      return this instanceof CBOR.Undefined;
+    }
+
+    getSimple = function() {
+      return this.#checkTypeAndGetValue(CBOR.Simple);
+    }
+
     getBigInt = function() {
       if (this instanceof CBOR.Int) {
         return BigInt(this._get());
@@ -64,6 +72,34 @@ class CBOR {
       return this.#checkTypeAndGetValue(CBOR.Tag);
     }
 
+    getDateTime = function() {
+      return this.#checkType(CBOR.DateTime).getDate();
+    }
+
+    getEpochTime = function() {
+      return this.#checkType(CBOR.EpochTime).getDate();
+    }
+
+    getURI = function() {
+      return this.#checkType(CBOR.URI).getTagObject().getString();
+    }
+
+    getRegExp = function() {
+      return this.#checkType(CBOR.Regex).toRegExp();
+    }
+
+    getMIME = function() {
+      return this.#checkType(CBOR.MIME).getTagObject().getString();
+    }
+
+    // Returns {language: "language tag", text: "text"}.
+    getLangString = function() {
+      let langString = this.#checkType(CBOR.LangString);
+      return {language: langString.getLanguage(),
+              text: langString.getText(),
+              direction: langString.getDirection()};
+    }
+
     equals = function(object) {
       if (object && object instanceof CBOR.#CBORObject) {
         return CBOR.compareArrays(this.encode(), object.encode()) == 0;
@@ -72,7 +108,32 @@ class CBOR {
     }
 
     clone = function() {
-      return CBOR.decode(this.encode());
+      // Cloning also preserves non-deterministic encodings.
+      return CBOR.decodeExtended(CBOR.initExtended(this.encode(), false, true, false,
+                                                   {preserveEncoding: true}));
+    }
+
+    // Types implement _encode(deterministic), where deterministic
+    // disregards encodings preserved by the decoder.
+    encode = function() {
+      return this._encode(false);
+    }
+
+    // Returns encode() preceded by the self-describe tag (0xd9d9f7),
+    // unless the object already is such a tag.
+    encodeSelfDescribed = function() {
+      if (this instanceof CBOR.Tag &&
+          this.getTagNumber() == CBOR.Tag.RESERVED_TAG_SELF_DESCRIBE) {
+        return this.encode();
+      }
+      return CBOR.addArrays(CBOR.#SELF_DESCRIBE_PREFIX, this.encode());
+    }
+
+    // Returns an encoding where arrays and maps referenced more than once,
+    // including cyclic references, use the shareable (28) and sharedref (29)
+    // tags.  Map keys are encoded as usual.
+    encodeShared = function() {
+      return new CBOR.#SharedEncoder(this, false).encode(this);
     }
 
     // Overridden by CBOR.Int and CBOR.String
@@ -81,10 +142,14 @@ class CBOR {
     }
  
     #checkTypeAndGetValue = function(className) {
+      return this.#checkType(className)._get();
+    }
+
+    #checkType = function(className) {
       if (!(this instanceof className)) {
         throw TypeError("Invalid method call for object: CBOR." + this.constructor.name);
       }
-      return this._get();
+      return this;
     }
   }
 
@@ -97,12 +162,19 @@ class CBOR {
   static #MT_TAG          = 0xc0;
   static #MT_BIG_UNSIGNED = 0xc2;
   static #MT_BIG_NEGATIVE = 0xc3;
+  static #MT_SIMPLE       = 0xe0;
   static #MT_FALSE        = 0xf4;
   static #MT_TRUE         = 0xf5;
   static #MT_NULL         = 0xf6;
+  static #MT_UNDEFINED    = 0xf7;
+  static #MT_SIMPLE_EXT   = 0xf8;
   static #MT_FLOAT16      = 0xf9;
   static #MT_FLOAT32      = 0xfa;
   static #MT_FLOAT64      = 0xfb;
+  static #MT_BREAK        = 0xff;
+
+  // Indexed by the width of a floating point value.
+  static #NAN_SIGNIFICAND_BITS = {16: 10, 32: 23, 64: 52};
 
   static #ESCAPE_CHARACTERS = [
  //   0    1    2    3    4    5    6    7    8    9    A    B    C    D    E    F
@@ -131,7 +203,10 @@ class CBOR {
       this.#value = CBOR.#intCheck(value);
     }
     
-    encode = function() {
+    _encode = function(deterministic) {
+      if (CBOR.#isPreserved(this, deterministic)) {
+        return this._encoding;
+      }
       let tag;
       let n = this.#value;
       if (n < 0) {
@@ -171,7 +246,10 @@ class CBOR {
       this.#value = CBOR.#typeCheck(value, 'bigint');
     }
     
-    encode = function() {
+    _encode = function(deterministic) {
+      if (CBOR.#isPreserved(this, deterministic)) {
+        return this._encoding;
+      }
       let tag;
       let value = this.#value
       if (value < 0) {
@@ -201,6 +279,7 @@ class CBOR {
     #value;
     #encoded;
     #tag;
+    #forcedWidth = false;
 
     constructor(value) {
       super();
@@ -300,11 +379,19 @@ class CBOR {
       }
     }
     
-    encode = function() {
+    _encode = function(deterministic) {
+      if (CBOR.#isPreserved(this, deterministic)) {
+        return this._encoding;
+      }
       return CBOR.addArrays(new Uint8Array([this.#tag]), this.#encoded);
     }
 
     toString = function() {
+      if (Number.isNaN(this.#value) && (this.#tag != CBOR.#MT_FLOAT16 ||
+                                        this.#encoded[0] != 0x7e || this.#encoded[1])) {
+        // NaN with payload, sign, or width that differs from the default.
+        return "float'" + CBOR.toHex(this.#encoded) + "'";
+      }
       let floatString = this.#value.toString();
       // Diagnostic Notation support.
       if (floatString.indexOf('.') < 0) {
@@ -313,9 +400,81 @@ class CBOR {
           floatString = matches[0] + '.0' + floatString.substring(matches[0].length);
         }
       }
+      if (this.#forcedWidth) {
+        // Encoding indicator: _2 = 32 bits, _3 = 64 bits.
+        floatString += this.#encoded.length == 4 ? '_2' : '_3';
+      }
      return floatString;
     }
 
+    getWidth = function() {
+      return this.#encoded.length * 8;
+    }
+
+    // Used by CBOR.Float16, CBOR.Float32, and CBOR.Float64.  Widths
+    // exceeding the shortest (default) width are non-deterministic.
+    _setWidth = function(width) {
+      let shortestWidth = this.getWidth();
+      if (shortestWidth > width) {
+        throw RangeError("Value cannot be represented in " + width + " bits: " + this.#value);
+      }
+      if (shortestWidth < width) {
+        if (width == 32) {
+          const f32buffer = new ArrayBuffer(4);
+          new DataView(f32buffer).setFloat32(0, this.#value, false);
+          this.#tag = CBOR.#MT_FLOAT32;
+          this.#encoded = new Uint8Array(f32buffer);
+        } else {
+          this.#tag = CBOR.#MT_FLOAT64;
+          this.#encoded = CBOR.#f64ToByteArray(this.#value);
+        }
+        this.#forcedWidth = true;
+      }
+      return this;
+    }
+
+    // Returns the complete significand of a NaN.  A negative result indicates
+    // that the sign bit is set.
+    getNaNSignificand = function() {
+      if (!Number.isNaN(this.#value)) {
+        throw TypeError("Not a NaN: " + this.toString());
+      }
+      let bits = 0n;
+      this.#encoded.forEach(byte => bits = (bits << 8n) + BigInt(byte));
+      let width = this.getWidth();
+      let significand = 
+          Number(bits & ((1n << BigInt(CBOR.#NAN_SIGNIFICAND_BITS[width])) - 1n));
+      return bits >> BigInt(width - 1) ? -significand : significand;
+    }
+
+    // Creates a NaN with an explicit significand and width (16, 32, or 64).
+    // The most significant bit of the significand is the "quiet" bit, where
+    // zero denotes a signalling NaN.  A negative significand sets the sign bit.
+    static createNaN = function(significand, width) {
+      let significandBits = CBOR.#NAN_SIGNIFICAND_BITS[CBOR.#intCheck(width)];
+      if (!significandBits) {
+        throw RangeError("Unsupported width: " + width);
+      }
+      let magnitude = Math.abs(CBOR.#intCheck(significand));
+      if (magnitude == 0 || magnitude >= 2 ** significandBits) {
+        throw RangeError("NaN significand out of range: " + significand);
+      }
+      // All exponent bits set, followed by the significand.
+      let bits = (((1n << BigInt(width - 1 - significandBits)) - 1n) << 
+                     BigInt(significandBits)) + BigInt(magnitude);
+      if (significand < 0) {
+        bits += 1n << BigInt(width - 1);
+      }
+      let nan = CBOR.Float(Number.NaN);
+      nan.#tag = width == 16 ? CBOR.#MT_FLOAT16 :
+                               width == 32 ? CBOR.#MT_FLOAT32 : CBOR.#MT_FLOAT64;
+      nan.#encoded = new Uint8Array(width / 8);
+      for (let q = nan.#encoded.length; --q >= 0; bits >>= 8n) {
+        nan.#encoded[q] = Number(bits & 255n);
+      }
+      return nan;
+    }
+
     _compare = function(decoded) {
       return CBOR.compareArrays(this.#encoded, decoded);
     }
@@ -325,6 +484,38 @@ class CBOR {
     }
   }
 
+///////////////////////////
+//     CBOR.Float16      //
+//     CBOR.Float32      //
+//     CBOR.Float64      //
+///////////////////////////
+
+  // Floating point values with a fixed width, for peers that do not support
+  // the shortest (preferred) encoding used by CBOR.Float.
+  static Float16 = class extends CBOR.Float {
+
+    constructor(value) {
+      super(value);
+      this._setWidth(16);
+    }
+  }
+
+  static Float32 = class extends CBOR.Float {
+
+    constructor(value) {
+      super(value);
+      this._setWidth(32);
+    }
+  }
+
+  static Float64 = class extends CBOR.Float {
+
+    constructor(value) {
+      super(value);
+      this._setWidth(64);
+    }
+  }
+
 ///////////////////////////
 //     CBOR.String       //
 ///////////////////////////
@@ -338,7 +529,10 @@ class CBOR {
       this.#string = CBOR.#typeCheck(string, 'string');
     }
     
-    encode = function() {
+    _encode = function(deterministic) {
+      if (CBOR.#isPreserved(this, deterministic)) {
+        return this._encoding;
+      }
       let utf8 = new TextEncoder().encode(this.#string);
       return CBOR.addArrays(CBOR.#encodeTagAndN(CBOR.#MT_STRING, utf8.length), utf8);
     }
@@ -386,7 +580,10 @@ class CBOR {
       this.#bytes = CBOR.#bytesCheck(bytes);
     }
     
-    encode = function() {
+    _encode = function(deterministic) {
+      if (CBOR.#isPreserved(this, deterministic)) {
+        return this._encoding;
+      }
       return CBOR.addArrays(CBOR.#encodeTagAndN(CBOR.#MT_BYTES, this.#bytes.length), this.#bytes);
     }
 
@@ -412,7 +609,7 @@ class CBOR {
       this.#bool = CBOR.#typeCheck(bool, 'boolean');
     }
     
-    encode = function() {
+    _encode = function(deterministic) {
       return new Uint8Array([this.#bool ? CBOR.#MT_TRUE : CBOR.#MT_FALSE]);
     }
 
@@ -431,7 +628,7 @@ class CBOR {
  
   static Null = class extends CBOR.#CBORObject {
     
-    encode = function() {
+    _encode = function(deterministic) {
       return new Uint8Array([CBOR.#MT_NULL]);
     }
 
@@ -440,6 +637,53 @@ class CBOR {
     }
   }
 
+///////////////////////////
+//    CBOR.Undefined     //
+///////////////////////////
+ 
+  static Undefined = class extends CBOR.#CBORObject {
+    
+    _encode = function(deterministic) {
+      return new Uint8Array([CBOR.#MT_UNDEFINED]);
+    }
+
+    toString = function() {
+      return 'undefined';
+    }
+  }
+
+///////////////////////////
+//      CBOR.Simple      //
+///////////////////////////
+ 
+  static Simple = class extends CBOR.#CBORObject {
+
+    #value;
+
+    // Simple values 20-23 are represented by CBOR.Bool, CBOR.Null, and
+    // CBOR.Undefined, while 24-31 are reserved and cannot be encoded.
+    constructor(value) {
+      super();
+      this.#value = CBOR.#intCheck(value);
+      if (value < 0 || value > 255 || (value > 19 && value < 32)) {
+        throw RangeError("Simple value out of range: " + value);
+      }
+    }
+    
+    _encode = function(deterministic) {
+      return new Uint8Array(this.#value < 24 ? 
+          [CBOR.#MT_SIMPLE | this.#value] : [CBOR.#MT_SIMPLE_EXT, this.#value]);
+    }
+
+    toString = function() {
+      return 'simple(' + this.#value + ')';
+    }
+
+    _get = function() {
+      return this.#value;
+    }
+  }
+
 ///////////////////////////
 //      CBOR.Array       //
 ///////////////////////////
@@ -450,6 +694,8 @@ class CBOR {
 
     add = function(element) {
       this.#elements.push(CBOR.#cborArguentCheck(element));
+      // Modified arrays return to deterministic encoding.
+      this._header = null;
       return this;
     }
 
@@ -467,31 +713,47 @@ class CBOR {
       return array;
     }
 
-    encode = function() {
-      let encoded = CBOR.#encodeTagAndN(CBOR.#MT_ARRAY, this.#elements.length);
-      this.#elements.forEach(object => {
-        encoded = CBOR.addArrays(encoded, object.encode());
+    _encode = function(deterministic) {
+      return CBOR.#cycleCheck(this, () => {
+        let header = CBOR.#getPreservedHeader(this, deterministic);
+        let encoded = header ? header : CBOR.#encodeTagAndN(CBOR.#MT_ARRAY, this.#elements.length);
+        this.#elements.forEach(object => {
+          encoded = CBOR.addArrays(encoded, object._encode(deterministic));
+        });
+        return CBOR.#finishContainer(header, encoded);
       });
-      return encoded;
     }
 
     toString = function(cborPrinter) {
-      let buffer = '[';
-      let notFirst = false;
-      this.#elements.forEach(object => {
-        if (notFirst) {
-          buffer += ', ';
-        }
-        notFirst = true;
-        buffer += object.toString(cborPrinter);
+      return CBOR.#cycleCheck(this, () => {
+        let buffer = '[';
+        let notFirst = false;
+        this.#elements.forEach(object => {
+          if (notFirst) {
+            buffer += ', ';
+          }
+          notFirst = true;
+          buffer += object.toString(cborPrinter);
+        });
+        return buffer + ']';
       });
-      return buffer + ']';
     }
 
     size = function() {
       return this.#elements.length;
     }
 
+    // Used by CBOR.Set.
+    _insert = function(index, element) {
+      this.#elements.splice(index, 0, element);
+      this._header = null;
+    }
+
+    _remove = function(index) {
+      this._header = null;
+      return this.#elements.splice(index, 1)[0];
+    }
+
     _get = function() {
       return this;
     }
@@ -508,12 +770,13 @@ class CBOR {
     #numberOfEntries = 0;
     _constrainedKeys = false;
     _deterministicMode = false;
+    _preserveOrder = false;
 
     static Entry = class {
 
        constructor(key, value) {
          this.key = key;
-         this.encodedKey = key.encode();
+         this.encodedKey = CBOR.#encodeDeterministically(key);
          this.value = value;
          this.next = null;
        }
@@ -525,20 +788,32 @@ class CBOR {
 
     set = function(key, value) {
       let newEntry = new CBOR.Map.Entry(this.#getKey(key), CBOR.#cborArguentCheck(value));
+      this.#dropPreservedEncoding();
       if (this._constrainedKeys && key.constrainedKeyType()) {
-        throw Error("Constrained key option disallows: " + key.constructor.name);
+        throw new CBOR.DecodeError('CONSTRAINED_KEY',
+                                   "Constrained key option disallows: " + key.constructor.name);
       }
       if (this.#root) {
         // Second key etc.
         if (this._constrainedKeys &&
             this.#lastEntry.key.constructor.name != key.constructor.name) {
-          throw Error("Constrained key option disallows mixing types: " + key.constructor.name);
+          throw new CBOR.DecodeError('CONSTRAINED_KEY',
+              "Constrained key option disallows mixing types: " + key.constructor.name);
         }
         if (this._deterministicMode) {
           // Normal case for parsing.
           let diff = this.#lastEntry.compare(newEntry.encodedKey);
-          if (diff >= 0) {
-            throw Error((diff ? "Non-deterministic order: " : "Duplicate: ") + key);
+          if (diff > 0) {
+            throw new CBOR.DeterminismError('map-order', "Non-deterministic order: " + key);
+          }
+          if (diff == 0) {
+            throw new CBOR.DuplicateKeyError(key);
+          }
+          this.#lastEntry.next = newEntry;
+        } else if (this._preserveOrder) {
+          // Parsing with preserved encoding: keep the original order.
+          if (this.#lookupEncoded(newEntry.encodedKey)) {
+            throw new CBOR.DuplicateKeyError(key);
           }
           this.#lastEntry.next = newEntry;
         } else {
@@ -549,7 +824,7 @@ class CBOR {
           for (let entry = this.#root; entry; entry = entry.next) {
             diff = entry.compare(newEntry.encodedKey);
             if (diff == 0) {
-              throw Error("Duplicate: " + key);                      
+              throw new CBOR.DuplicateKeyError(key);
             }
             if (diff > 0) {
               // New key is (lexicographically) smaller than current entry.
@@ -587,22 +862,55 @@ class CBOR {
     }
 
     #missingKey = function(key) {
-      throw Error("Missing key: " + key);
+      throw new CBOR.MissingKeyError(key);
     }
 
     #lookup(key, mustExist) {
-      let encodedKey = this.#getKey(key).encode();
+      let entry = this.#lookupEncoded(CBOR.#encodeDeterministically(this.#getKey(key)));
+      if (!entry && mustExist) {
+        this.#missingKey(key);
+      }
+      return entry;
+    }
+
+    #lookupEncoded(encodedKey) {
       for (let entry = this.#root; entry; entry = entry.next) {
         if (entry.compare(encodedKey) == 0) {
           return entry;
         }
       }
-      if (mustExist) {
-        this.#missingKey(key);
-      }
       return null;
     }
 
+    #getEntries(sorted) {
+      let entries = [];
+      for (let entry = this.#root; entry; entry = entry.next) {
+        entries.push(entry);
+      }
+      if (sorted) {
+        entries.sort((a, b) => a.compare(b.encodedKey));
+      }
+      return entries;
+    }
+
+    // Modified maps return to deterministic (sorted) encoding.
+    #dropPreservedEncoding() {
+      if (this._header) {
+        this._header = null;
+        let entries = this.#getEntries(true);
+        this.#root = null;
+        entries.forEach(entry => {
+          entry.next = null;
+          if (this.#root) {
+            this.#lastEntry.next = entry;
+          } else {
+            this.#root = entry;
+          }
+          this.#lastEntry = entry;
+        });
+      }
+    }
+
     get = function(key) {
       return this.#lookup(key, true).value;
     }
@@ -623,7 +931,8 @@ class CBOR {
     }
 
     remove = function(key) {
-      let encodedKey = this.#getKey(key).encode();
+      let encodedKey = CBOR.#encodeDeterministically(this.#getKey(key));
+      this.#dropPreservedEncoding();
       let precedingEntry = null;
       for (let entry = this.#root; entry; entry = entry.next) {
         if (entry.compare(encodedKey) == 0) {
@@ -650,30 +959,37 @@ class CBOR {
       return this.#lookup(key, false) != null;
     }
 
-    encode = function() {
-      let encoded = CBOR.#encodeTagAndN(CBOR.#MT_MAP, this.#numberOfEntries);
-      for (let entry = this.#root; entry; entry = entry.next) {
-        encoded = CBOR.addArrays(encoded, 
-                                 CBOR.addArrays(entry.key.encode(), entry.value.encode()));
-      }
-      return encoded;
+    _encode = function(deterministic) {
+      return CBOR.#cycleCheck(this, () => {
+        let header = CBOR.#getPreservedHeader(this, deterministic);
+        let encoded = header ? header : CBOR.#encodeTagAndN(CBOR.#MT_MAP, this.#numberOfEntries);
+        // Preserved entry order is only valid together with the preserved header.
+        this.#getEntries(this._header && !header).forEach(entry => {
+          encoded = CBOR.addArrays(encoded,
+                                   CBOR.addArrays(entry.key._encode(deterministic),
+                                                  entry.value._encode(deterministic)));
+        });
+        return CBOR.#finishContainer(header, encoded);
+      });
     }
 
     toString = function(cborPrinter) {
-      if (cborPrinter == undefined) {
-        cborPrinter = new CBOR.#Printer();
-      }
-      let notFirst = false;
-      let buffer = cborPrinter.beginMap();
-      for (let entry = this.#root; entry; entry = entry.next) {
-        if (notFirst) {
-          buffer += ',';
+      return CBOR.#cycleCheck(this, () => {
+        if (cborPrinter == undefined) {
+          cborPrinter = new CBOR.#Printer();
         }
-        notFirst = true;
-        buffer += cborPrinter.newlineAndIndent();
-        buffer += entry.key.toString(cborPrinter) + ': ' + entry.value.toString(cborPrinter);
-      }
-      return buffer + cborPrinter.endMap(notFirst);
+        let notFirst = false;
+        let buffer = cborPrinter.beginMap();
+        for (let entry = this.#root; entry; entry = entry.next) {
+          if (notFirst) {
+            buffer += ',';
+          }
+          notFirst = true;
+          buffer += cborPrinter.newlineAndIndent();
+          buffer += entry.key.toString(cborPrinter) + ': ' + entry.value.toString(cborPrinter);
+        }
+        return buffer + cborPrinter.endMap(notFirst);
+      });
     }
 
     _get = function() {
@@ -687,30 +1003,62 @@ class CBOR {
 
   static Tag = class extends CBOR.#CBORObject {
 
-    static RESERVED_TAG_COTX = 1010n;
+    static RESERVED_TAG_DATE_TIME         = 0n;
+    static RESERVED_TAG_EPOCH_TIME        = 1n;
+    static RESERVED_TAG_DECIMAL_FRACTION  = 4n;
+    static RESERVED_TAG_BIGFLOAT          = 5n;
+    static RESERVED_TAG_PACKED_REFERENCE  = 6n;
+    static RESERVED_TAG_ENCODED_CBOR      = 24n;
+    static RESERVED_TAG_SHAREABLE         = 28n;
+    static RESERVED_TAG_SHARED_REF        = 29n;
+    static RESERVED_TAG_RATIONAL          = 30n;
+    static RESERVED_TAG_URI               = 32n;
+    static RESERVED_TAG_REGEX             = 35n;
+    static RESERVED_TAG_MIME              = 36n;
+    static RESERVED_TAG_UUID              = 37n;
+    static RESERVED_TAG_LANG_STRING       = 38n;
+    static RESERVED_TAG_MULTI_DIM_ARRAY   = 40n;
+    static RESERVED_TAG_IPV4              = 52n;
+    static RESERVED_TAG_IPV6              = 54n;
+    static RESERVED_TAG_ENCODED_SEQUENCE  = 63n;
+    static RESERVED_TAG_TYPED_ARRAY_FIRST = 64n;
+    static RESERVED_TAG_TYPED_ARRAY_LAST  = 87n;
+    static RESERVED_TAG_EPOCH_DATE        = 100n;
+    static RESERVED_TAG_PACKED_TABLES     = 113n;
+    static RESERVED_TAG_SET               = 258n;
+    static RESERVED_TAG_TYPED_MAP         = 259n;
+    static RESERVED_TAG_EXTENDED_TIME     = 1001n;
+    static RESERVED_TAG_DURATION          = 1002n;
+    static RESERVED_TAG_PERIOD            = 1003n;
+    static RESERVED_TAG_FULL_DATE         = 1004n;
+    static RESERVED_TAG_COTX              = 1010n;
+    static RESERVED_TAG_SELF_DESCRIBE     = 55799n;
 
     #tagNumber;
     #object;
 
     constructor(tagNumber, object) {
       super();
-      if (typeof tagNumber != 'bigint') {
-        tagNumber = BigInt(CBOR.#intCheck(tagNumber));
-      }
-      if (tagNumber < 0n || tagNumber >= 0x10000000000000000n) {
-        throw RangeError("Tag value is out of range");
-      }
-      this.#tagNumber = tagNumber;
+      this.#tagNumber = CBOR.#tagNumberCheck(tagNumber);
       this.#object = CBOR.#cborArguentCheck(object);
     }
 
-    encode = function() {
-      return CBOR.addArrays(CBOR.#finishBigIntAndTag(CBOR.#MT_TAG, this.#tagNumber),
-                            this.#object.encode());
+    _encode = function(deterministic) {
+      let header = CBOR.#getPreservedHeader(this, deterministic);
+      return CBOR.addArrays(header ? header : CBOR.#finishBigIntAndTag(CBOR.#MT_TAG, 
+                                                                       this.#tagNumber),
+                            this.#object._encode(deterministic));
     }
 
     toString = function(cborPrinter) {
-      return this.#tagNumber.toString() + '(' + this.#object.toString(cborPrinter) + ')';
+      let comment = this._getComment();
+      return this.#tagNumber.toString() + '(' + this.#object.toString(cborPrinter) + ')' +
+             (comment == null ? '' : ' / ' + comment + ' /');
+    }
+
+    // Overridden by tag types providing a human-readable comment.
+    _getComment = function() {
+      return null;
     }
 
     getTagNumber = function() {
@@ -721,807 +1069,4438 @@ class CBOR {
       return this.#object;
     }
 
+    // Returns the result of a registered decode() method, see CBOR.registerTag().
+    getApplicationObject = function() {
+      if (this._applicationObject === undefined) {
+        throw TypeError("No application object for tag: " + this.#tagNumber);
+      }
+      return this._applicationObject;
+    }
+
     _get = function() {
       return this;
     }
   }
 
 ///////////////////////////
-//        Proxy          //
+//     CBOR.DateTime     //
 ///////////////////////////
 
-  // The Proxy concept enables checks for invocation by "new" and number of arguments.
-  static #handler = class {
+  // Tag 0 holding an RFC 3339 date/time string like "2013-03-21T20:04:00Z".
+  static DateTime = class extends CBOR.Tag {
 
-    constructor(numberOfArguments) {
-      this.numberOfArguments = numberOfArguments;
-    }
+    #date;
 
-    apply(target, thisArg, argumentsList) {
-      if (argumentsList.length != this.numberOfArguments) {
-        throw SyntaxError("CBOR." + target.name + " expects " +
-                          this.numberOfArguments + " argument(s)");
+    // Accepts a JavaScript Date, a date/time string, or a CBOR.String.
+    constructor(dateTime) {
+      if (dateTime instanceof Date) {
+        dateTime = CBOR.#dateToRfc3339(dateTime);
       }
-      return new target(...argumentsList);
+      if (typeof dateTime == 'string') {
+        dateTime = CBOR.String(dateTime);
+      }
+      if (!(dateTime instanceof CBOR.String)) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_DATE_TIME + " requires a string");
+      }
+      super(CBOR.Tag.RESERVED_TAG_DATE_TIME, dateTime);
+      this.#date = CBOR.#rfc3339ToDate(dateTime.getString());
     }
 
-    construct(target, args) {
-      throw SyntaxError("CBOR." + target.name + " does not permit \"new\"");
+    // Fractions beyond milliseconds are truncated.
+    getDate = function() {
+      return new Date(this.#date);
     }
   }
 
-  static Int = new Proxy(CBOR.Int, new CBOR.#handler(1));
-  static BigInt = new Proxy(CBOR.BigInt, new CBOR.#handler(1));
-  static Float = new Proxy(CBOR.Float, new CBOR.#handler(1));
-  static String = new Proxy(CBOR.String, new CBOR.#handler(1));
-  static Bytes = new Proxy(CBOR.Bytes, new CBOR.#handler(1));
-  static Bool = new Proxy(CBOR.Bool, new CBOR.#handler(1));
-  static Null = new Proxy(CBOR.Null, new CBOR.#handler(0));
-  static Array = new Proxy(CBOR.Array, new CBOR.#handler(0));
-  static Map = new Proxy(CBOR.Map, new CBOR.#handler(0));
-  static Tag = new Proxy(CBOR.Tag, new CBOR.#handler(2));
+///////////////////////////
+//    CBOR.EpochTime     //
+///////////////////////////
+
+  // Tag 1 holding seconds since 1970-01-01T00:00:00Z.
+  static EpochTime = class extends CBOR.Tag {
+
+    #seconds;
+
+    // Accepts a JavaScript Date, a number of seconds, a CBOR.Int, or a CBOR.Float.
+    // Dates with a millisecond part are represented by floating point values.
+    constructor(epochTime) {
+      if (epochTime instanceof Date) {
+        epochTime = CBOR.#dateCheck(epochTime).getTime() / 1000;
+      }
+      if (typeof epochTime == 'number') {
+        epochTime = Number.isSafeInteger(epochTime) ? 
+                                           CBOR.Int(epochTime) : CBOR.Float(epochTime);
+      }
+      if (!(epochTime instanceof CBOR.Int || epochTime instanceof CBOR.Float)) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_EPOCH_TIME + 
+                        " requires an integer or a floating point value");
+      }
+      super(CBOR.Tag.RESERVED_TAG_EPOCH_TIME, epochTime);
+      this.#seconds = epochTime._get();
+      // The range of JavaScript Date.
+      if (!(Math.abs(this.#seconds) <= 8640000000000)) {
+        throw RangeError("Epoch time out of range: " + this.#seconds);
+      }
+    }
+
+    getEpochSeconds = function() {
+      return this.#seconds;
+    }
 
+    // Sub-millisecond parts are truncated (rounded toward -Infinity).  Rounding
+    // to microseconds first avoids artifacts like 1.001 * 1000 = 1000.9999999999999.
+    getDate = function() {
+      return new Date(Math.floor(Math.round(this.#seconds * 1000000) / 1000));
+    }
+  }
 
 ///////////////////////////
-//     Decoder Core      //
+// CBOR.DecimalFraction  //
+//     CBOR.BigFloat     //
 ///////////////////////////
 
-  static #_decoder = class {
+  // Common base for tags 4 and 5 holding [exponent, mantissa] arrays.
+  static #ExponentMantissa = class extends CBOR.Tag {
 
-    constructor(cbor,
-                sequenceFlag,
-                acceptNonDeterministic,
-                constrainedKeys) {
-      this.cbor = CBOR.#bytesCheck(cbor);
-      this.counter = 0;
-      this.sequenceFlag = sequenceFlag;
-      this.deterministicMode = !acceptNonDeterministic;
-      this.constrainedKeys = constrainedKeys;
+    #exponent;
+    #mantissa;
+
+    constructor(tagNumber, object) {
+      super(tagNumber, object);
+      if (!(object instanceof CBOR.Array) || object.size() != 2 ||
+          !(object.get(0) instanceof CBOR.Int) ||
+          !(object.get(1) instanceof CBOR.Int || object.get(1) instanceof CBOR.BigInt)) {
+        throw TypeError("Tag " + tagNumber + " requires an [exponent, mantissa] array");
+      }
+      this.#exponent = object.get(0).getInt();
+      this.#mantissa = object.get(1).getBigInt();
     }
 
-    readByte = function() {
-      if (this.counter >= this.cbor.length) {
-        if (this.sequenceFlag && this.atFirstByte) {
-          return CBOR.#MT_NULL;
+    getExponent = function() {
+      return this.#exponent;
+    }
+
+    getMantissa = function() {
+      return this.#mantissa;
+    }
+
+    // Throws unless the returned Number represents the value exactly,
+    // or optionalAllowLoss is true.
+    toNumber = function(optionalAllowLoss) {
+      let value;
+      let magnitude = this._getMagnitude();
+      if (Math.abs(magnitude) <= 400) {
+        value = Number(this._toScientific());
+      } else {
+        // Certainly out of range.
+        value = this.#mantissa && magnitude > 0 ? Infinity : 0;
+        if (this.#mantissa < 0n) {
+          value = -value;
         }
-        throw Error("Reading past end of buffer");
       }
-      this.atFirstByte = false;
-      return this.cbor[this.counter++];
-    }
-        
-    readBytes = function (length) {
-      let result = new Uint8Array(length);
-      let q = -1; 
-      while (++q < length) {
-        result[q] = this.readByte();
+      if (!optionalAllowLoss && !this._isExact(value)) {
+        throw RangeError("Value cannot be represented as a Number without loss: " +
+                         this.getTagObject().toString());
       }
-      return result;
+      return value;
     }
 
-    unsupportedTag = function(tag) {
-      throw Error("Unsupported tag: " + CBOR.#twoHex(tag));
+    _getComment = function() {
+      if (Math.abs(this.#exponent) <= 1100) {
+        let decimal = this.toDecimalString();
+        if (decimal.length <= 40) {
+          return decimal;
+        }
+      }
+      return null;
     }
+  }
 
-    rangeLimitedBigInt = function(value) {
-      if (value > 0xffffffffn) {
-        throw RangeError("Length limited to 0xffffffff");
+  // Tag 4 representing mantissa * 10 ^ exponent.
+  static DecimalFraction = class extends CBOR.#ExponentMantissa {
+
+    // Accepts a decimal string like "-1.25e-7", a Number (using its shortest
+    // decimal form), or a CBOR.Array holding [exponent, mantissa].
+    constructor(value) {
+      if (typeof value == 'number') {
+        value = CBOR.#finiteCheck(value).toString();
       }
-      return Number(value);
+      if (typeof value == 'string') {
+        let [mantissa, exponent] = CBOR.#parseDecimal(value);
+        value = CBOR.#exponentMantissaArray(exponent, mantissa);
+      }
+      super(CBOR.Tag.RESERVED_TAG_DECIMAL_FRACTION, value);
     }
 
-    compareAndReturn = function(decoded, f64) {
-      let cborFloat = CBOR.Float(f64);
-      if (cborFloat._compare(decoded) && this.deterministicMode) {
-        throw Error("Non-deterministic encoding of: " + f64);
+    // Exponents outside of +-1000 return "mantissa" + "e" + "exponent".
+    toDecimalString = function() {
+      if (Math.abs(this.getExponent()) > 1000) {
+        return this.getMantissa() + 'e' + this.getExponent();
       }
-      return cborFloat;
+      return CBOR.#decimalToString(this.getMantissa(), this.getExponent());
     }
 
-    recreateF64AndReturn = function(numberOfBytes,
-                                    specialNumbers,
-                                    significandMsbP1,
-                                    divisor) {
-      let decoded = this.readBytes(numberOfBytes);
-      let sign = false;
-      if (decoded[0] & 0x80) {
-        decoded[0] &= 0x7f;
-        sign = true;
+    _toScientific = function() {
+      return this.getMantissa() + 'e' + this.getExponent();
+    }
+
+    // Returns the decimal exponent of the value, off by at most one.
+    _getMagnitude = function() {
+      let mantissa = this.getMantissa();
+      return (mantissa < 0n ? -mantissa : mantissa).toString().length - 1 + this.getExponent();
+    }
+
+    // Numbers are considered exact if their shortest decimal form is equal to the value.
+    _isExact = function(value) {
+      if (!Number.isFinite(value)) {
+        return false;
       }
-      let float = 0n;
-      for (let i = 0; i < decoded.length; i++) {
-        float *= 256n;
-        float += BigInt(decoded[i]);
+      let [mantissa, exponent] = CBOR.#parseDecimal(value.toString());
+      return CBOR.#normalizeDecimal(mantissa, exponent).join() ==
+             CBOR.#normalizeDecimal(this.getMantissa(), this.getExponent()).join();
+    }
+  }
+
+  // Tag 5 representing mantissa * 2 ^ exponent.
+  static BigFloat = class extends CBOR.#ExponentMantissa {
+
+    // Accepts a Number, a decimal string (that must be exactly representable),
+    // or a CBOR.Array holding [exponent, mantissa].
+    constructor(value) {
+      if (typeof value == 'number') {
+        let [mantissa, exponent] = CBOR.#decomposeNumber(CBOR.#finiteCheck(value));
+        value = CBOR.#exponentMantissaArray(exponent, mantissa);
       }
-      let f64 = 0.0;
-      while (true) {
-        // The two cases of zero.
-        if (!float) break;
-        // The three cases of numbers that have no/little use.
-        if ((float & specialNumbers) == specialNumbers) {
-          f64 = (float == specialNumbers) ? Number.POSITIVE_INFINITY : Number.NaN;
-          break;
-        }
-        // A genuine number
-        let exponent = float & specialNumbers;
-        let f64bin = float - exponent;
-        exponent /= significandMsbP1;
-        if (exponent) {
-          // Normal representation, add implicit "1.".
-          f64bin += significandMsbP1;
-          exponent--;
-        }
-        f64bin <<= exponent;
-        let array = [];
-        while (f64bin) {
-          array.push(Number(f64bin & 255n));
-          f64bin >>= 8n;
-        }
-        array = array.reverse();
-        for (let q = 0; q < array.length; q++) {
-          f64 *= 256;
-          f64 += array[q];
+      if (typeof value == 'string') {
+        // mantissa * 10 ^ exponent = mantissa * 5 ^ exponent * 2 ^ exponent.
+        let [mantissa, exponent] = CBOR.#normalizeDecimal(...CBOR.#parseDecimal(value));
+        if (exponent >= 0) {
+          mantissa *= 5n ** BigInt(exponent);
+        } else {
+          let divisor = 5n ** BigInt(-exponent);
+          if (mantissa % divisor) {
+            throw RangeError("Value cannot be represented as a bigfloat: " + value);
+          }
+          mantissa /= divisor;
         }
-        f64 /= divisor;
-        break;
+        value = CBOR.#exponentMantissaArray(exponent, mantissa);
       }
-      if (sign) {
-        f64 = -f64;
-        decoded[0] |= 0x80;
+      super(CBOR.Tag.RESERVED_TAG_BIGFLOAT, value);
+    }
+
+    toDecimalString = function() {
+      let exponent = this.getExponent();
+      if (Math.abs(exponent) > 10000) {
+        throw RangeError("Exponent out of range for decimal conversion: " + exponent);
       }
-      return this.compareAndReturn(decoded, f64);
+      if (exponent >= 0) {
+        return (this.getMantissa() << BigInt(exponent)).toString();
+      }
+      // mantissa * 2 ^ exponent = mantissa * 5 ^ -exponent * 10 ^ exponent.
+      return CBOR.#decimalToString(this.getMantissa() * 5n ** BigInt(-exponent), exponent);
     }
 
-    getObject = function() {
-      let tag = this.readByte();
+    // Unlike toDecimalString(), exponents are not limited since toNumber()
+    // only calls this for values in range.
+    _toScientific = function() {
+      let exponent = this.getExponent();
+      if (exponent >= 0) {
+        return (this.getMantissa() << BigInt(exponent)).toString();
+      }
+      return this.getMantissa() * 5n ** BigInt(-exponent) + 'e' + exponent;
+    }
 
-      // Begin with CBOR types that are uniquely defined by the tag byte.
-      switch (tag) {
-        case CBOR.#MT_BIG_NEGATIVE:
-        case CBOR.#MT_BIG_UNSIGNED:
-          let byteArray = this.getObject().getBytes();
-          if ((byteArray.length == 0 || byteArray[0] == 0 || byteArray.length <= 8) && 
-              this.deterministicMode) {
-            throw Error("Non-deterministic big integer encoding");
-          }
-          let value = 0n;
-          byteArray.forEach(byte => {
-            value <<= 8n;
-            value += BigInt(byte);
-          });
-          if (tag == CBOR.#MT_BIG_NEGATIVE) {
-            value = ~value;
-          }
-          return CBOR.BigInt(value);
+    _getMagnitude = function() {
+      let mantissa = this.getMantissa();
+      return ((mantissa < 0n ? -mantissa : mantissa).toString(2).length - 1 +
+              this.getExponent()) * Math.log10(2);
+    }
 
-        case CBOR.#MT_FLOAT16:
-          return this.recreateF64AndReturn(2, 0x7c00n, 0x400n, 0x1000000);
+    _isExact = function(value) {
+      return Number.isFinite(value) &&
+          CBOR.#normalizeBinary(...CBOR.#decomposeNumber(value)).join() ==
+          CBOR.#normalizeBinary(this.getMantissa(), this.getExponent()).join();
+    }
+  }
 
-        case CBOR.#MT_FLOAT32:
-          return this.recreateF64AndReturn(4, 0x7f800000n, 0x800000n, 
-                                           0x20000000000000000000000000000000000000);
+///////////////////////////
+//     CBOR.Rational     //
+///////////////////////////
 
-        case CBOR.#MT_FLOAT64:
-           let f64bytes = this.readBytes(8);
-           const f64buffer = new ArrayBuffer(8);
-           new Uint8Array(f64buffer).set(f64bytes);
-           return this.compareAndReturn(f64bytes, new DataView(f64buffer).getFloat64(0, false));
+  // Tag 30 holding [numerator, denominator] where the denominator is positive.
+  static Rational = class extends CBOR.Tag {
 
-        case CBOR.#MT_NULL:
-          return CBOR.Null();
- 
-        case CBOR.#MT_TRUE:
-        case CBOR.#MT_FALSE:
-          return CBOR.Bool(tag == CBOR.#MT_TRUE);
-      }
-      // Then decode CBOR types that blend length of data in the tag byte.
-      let n = tag & 0x1f;
-      let bigN = BigInt(n);
-      if (n > 27) {
-        this.unsupportedTag(tag);
-      }
-      if (n > 23) {
-        // For 1, 2, 4, and 8 byte N.
-        let q = 1 << (n - 24);
-        let mask = 0xffffffffn << BigInt((q >> 1) * 8);
-        bigN = 0n;
-        while (--q >= 0) {
-          bigN <<= 8n;
-          bigN += BigInt(this.readByte());
+    #numerator;
+    #denominator;
+
+    // Accepts a string like "-1/3" or "0.75", a Number (converted exactly),
+    // or a CBOR.Array holding [numerator, denominator].
+    constructor(value) {
+      let numerator;
+      let denominator = 1n;
+      if (typeof value == 'number') {
+        let exponent;
+        [numerator, exponent] = CBOR.#decomposeNumber(CBOR.#finiteCheck(value));
+        if (exponent < 0) {
+          denominator <<= BigInt(-exponent);
+        } else {
+          numerator <<= BigInt(exponent);
         }
-        // If the upper half (for 2, 4, 8 byte N) of N or a single byte
-        // N is zero, a shorter variant should have been used.
-        // In addition, N must be > 23. 
-        if ((bigN < 24n || !(mask & bigN)) && this.deterministicMode) {
-          throw Error("Non-deterministic N encoding for tag: 0x" + CBOR.#twoHex(tag));
+      } else if (typeof value == 'string') {
+        let fraction = value.match(/^([+-]?\d+)\/(\d+)$/);
+        if (fraction) {
+          numerator = BigInt(fraction[1]);
+          denominator = BigInt(fraction[2]);
+        } else {
+          let [mantissa, exponent] = CBOR.#parseDecimal(value);
+          numerator = exponent < 0 ? mantissa : mantissa * 10n ** BigInt(exponent);
+          if (exponent < 0) {
+            let divisor = 10n ** BigInt(-exponent);
+            let gcd = CBOR.#gcd(mantissa, divisor);
+            numerator /= gcd;
+            denominator = divisor / gcd;
+          }
         }
       }
-      // N successfully decoded, now switch on major type (upper three bits).
-      switch (tag & 0xe0) {
+      if (numerator != undefined) {
+        value = CBOR.Array().add(CBOR.BigInt(numerator)).add(CBOR.BigInt(denominator));
+      }
+      super(CBOR.Tag.RESERVED_TAG_RATIONAL, value);
+      if (!(value instanceof CBOR.Array) || value.size() != 2 ||
+          !(value.get(0) instanceof CBOR.Int || value.get(0) instanceof CBOR.BigInt) ||
+          !(value.get(1) instanceof CBOR.Int || value.get(1) instanceof CBOR.BigInt) ||
+          value.get(1).getBigInt() <= 0n) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_RATIONAL +
+                        " requires a [numerator, positive denominator] array");
+      }
+      this.#numerator = value.get(0).getBigInt();
+      this.#denominator = value.get(1).getBigInt();
+    }
 
-        case CBOR.#MT_TAG:
-          let tagData = this.getObject();
-          if (bigN == CBOR.Tag.RESERVED_TAG_COTX) {
-            if (!tagData instanceof CBOR.Array || tagData.size() != 2 ||
-                !tagData.get(0) instanceof CBOR.String) {
-                throw SyntaxError("Tag syntax " +  CBOR.Tag.RESERVED_TAG_COTX +
-                                  "([\"string\", CBOR object]) expected");
-            }
-          }
-          return CBOR.Tag(bigN, tagData);
+    getNumerator = function() {
+      return this.#numerator;
+    }
 
-        case CBOR.#MT_UNSIGNED:
-          if (bigN > BigInt(Number.MAX_SAFE_INTEGER)) {
-            return CBOR.BigInt(bigN);
-          }
-          return CBOR.Int(Number(bigN));
-    
-        case CBOR.#MT_NEGATIVE:
-          bigN = ~bigN;
-          if (bigN < BigInt(-Number.MAX_SAFE_INTEGER)) {
-            return CBOR.BigInt(bigN);
-          }
-          return CBOR.Int(Number(bigN));
-    
-        case CBOR.#MT_BYTES:
-          return CBOR.Bytes(this.readBytes(this.rangeLimitedBigInt(bigN)));
-    
-        case CBOR.#MT_STRING:
-          return CBOR.String(new TextDecoder('utf-8', {fatal: true}).decode(
-                                     this.readBytes(this.rangeLimitedBigInt(bigN))));
-    
-        case CBOR.#MT_ARRAY:
-          let cborArray = CBOR.Array();
-          for (let q = this.rangeLimitedBigInt(bigN); --q >= 0;) {
-            cborArray.add(this.getObject());
-          }
-          return cborArray;
-    
-        case CBOR.#MT_MAP:
-          let cborMap = CBOR.Map();
-          cborMap._deterministicMode = this.deterministicMode;
-          cborMap._constrainedKeys = this.constrainedKeys;
-          for (let q = this.rangeLimitedBigInt(bigN); --q >= 0;) {
-            cborMap.set(this.getObject(), this.getObject());
-          }
-          // Programmatically added elements sort automatically. 
-          cborMap._deterministicMode = false;
-          return cborMap;
-    
-        default:
-          this.unsupportedTag(tag);
+    getDenominator = function() {
+      return this.#denominator;
+    }
+
+    // Only denominators with no other prime factors than 2 and 5 have
+    // a finite decimal representation.
+    toDecimalString = function() {
+      let gcd = CBOR.#gcd(this.#numerator, this.#denominator);
+      let numerator = this.#numerator / gcd;
+      let denominator = this.#denominator / gcd;
+      let exponent = 0;
+      while (denominator % 10n == 0n) {
+        denominator /= 10n;
+        exponent--;
+      }
+      for (let factor of [2n, 5n]) {
+        while (denominator % factor == 0n) {
+          denominator /= factor;
+          numerator *= 10n / factor;
+          exponent--;
+        }
+      }
+      if (denominator != 1n) {
+        throw RangeError("Value has no finite decimal representation: " +
+                         this.#numerator + "/" + this.#denominator);
       }
+      return CBOR.#decimalToString(numerator, exponent);
     }
-  }
 
-  static #getObject = function(decoder) {
-    decoder.atFirstByte = true;
-    let object = decoder.getObject();
-    if (decoder.sequenceFlag) {
-      if (decoder.atFirstByte) {
-        return null;
+    // Throws unless the returned Number represents the value exactly,
+    // or optionalAllowLoss is true.
+    toNumber = function(optionalAllowLoss) {
+      let value;
+      let limit = BigInt(Number.MAX_SAFE_INTEGER);
+      if (this.#numerator <= limit && this.#numerator >= -limit && this.#denominator <= limit) {
+        // IEEE 754 division is correctly rounded.
+        value = Number(this.#numerator) / Number(this.#denominator);
+      } else {
+        // Scale the quotient to 64 significant bits before converting.
+        // Scaling back is done in two steps since 2 ** -shift alone
+        // underflows for shifts above 1074.
+        let shift = this.#denominator.toString(2).length -
+                    this.#numerator.toString(2).length + 64;
+        value = shift >= 0 ?
+            Number((this.#numerator << BigInt(shift)) / this.#denominator) *
+                2 ** -Math.ceil(shift / 2) * 2 ** -Math.floor(shift / 2) :
+            Number(this.#numerator / this.#denominator);
       }
-    } else if (decoder.counter < decoder.cbor.length) {
-      throw Error("Unexpected data encountered after CBOR object");
+      if (!optionalAllowLoss) {
+        // Numbers are mantissa * 2 ^ exponent: verify by cross-multiplication.
+        let [mantissa, exponent] = Number.isFinite(value) ?
+                                             CBOR.#decomposeNumber(value) : [0n, 0];
+        if (!Number.isFinite(value) || (exponent < 0 ?
+                this.#numerator << BigInt(-exponent) != mantissa * this.#denominator :
+                this.#numerator != (mantissa << BigInt(exponent)) * this.#denominator)) {
+          throw RangeError("Value cannot be represented as a Number without loss: " +
+                           this.#numerator + "/" + this.#denominator);
+        }
+      }
+      return value;
+    }
+
+    _getComment = function() {
+      if (this.#denominator.toString(2).length <= 1100) {
+        try {
+          let decimal = this.toDecimalString();
+          if (decimal.length <= 40) {
+            return decimal;
+          }
+        } catch (error) {
+          // No finite decimal representation.
+        }
+      }
+      return null;
     }
-    return object;
   }
 
 ///////////////////////////
-//     CBOR.decode()     //
+//    CBOR.TypedArray    //
 ///////////////////////////
 
-  static decode = function(cbor) {
-    let decoder = new CBOR.#_decoder(cbor, false, false, false);
-    return CBOR.#getObject(decoder);
+  // RFC 8746 typed arrays (tags 64..87) holding byte strings.
+  static TypedArray = class extends CBOR.Tag {
+
+    #format;
+
+    // Accepts (JavaScript TypedArray, littleEndian) or (tagNumber, CBOR.Bytes).
+    constructor(typedArrayOrTagNumber, littleEndianOrBytes) {
+      let tagNumber = typedArrayOrTagNumber;
+      let bytes = littleEndianOrBytes;
+      if (ArrayBuffer.isView(typedArrayOrTagNumber)) {
+        let typedArray = typedArrayOrTagNumber;
+        let type = CBOR.#TYPED_ARRAY_TYPES.indexOf(typedArray.constructor.name);
+        if (type < 0) {
+          throw TypeError("Unsupported typed array: " + typedArray.constructor.name);
+        }
+        // Endianness only applies to multi-byte elements.
+        if (CBOR.#typeCheck(littleEndianOrBytes, 'boolean') && typedArray.BYTES_PER_ELEMENT > 1) {
+          type |= 4;
+        }
+        tagNumber = BigInt(type) + CBOR.Tag.RESERVED_TAG_TYPED_ARRAY_FIRST;
+        bytes = CBOR.Bytes(CBOR.#typedArrayToBytes(typedArray, CBOR.#typedArrayFormat(tagNumber)));
+      }
+      super(tagNumber, bytes);
+      this.#format = CBOR.#typedArrayFormat(this.getTagNumber());
+      if (!(bytes instanceof CBOR.Bytes) ||
+          bytes.getBytes().length % this.#format.elementSize) {
+        throw TypeError("Tag " + this.getTagNumber() +
+                        " requires a byte string holding " + this.#format.elementSize +
+                        " byte elements");
+      }
+    }
+
+    // Returns a matching JavaScript TypedArray.  Float16 arrays are returned
+    // as Float32Array unless Float16Array is supported by the platform.
+    getTypedArray = function() {
+      let bytes = this.getTagObject().getBytes();
+      let format = this.#format;
+      if (format.getter == null) {
+        throw TypeError("Unsupported typed array tag: " + this.getTagNumber());
+      }
+      let typedArray = new globalThis[format.type](bytes.length / format.elementSize);
+      let dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      for (let q = 0; q < typedArray.length; q++) {
+        typedArray[q] = format.getter(dataView, q * format.elementSize);
+      }
+      return typedArray;
+    }
+
+    isLittleEndian = function() {
+      return this.#format.littleEndian;
+    }
+
+    // Creates a float16 typed array from Numbers.  Values that cannot be
+    // represented in 16 bits without loss throw a RangeError.
+    static createFloat16 = function(numbers, littleEndian) {
+      let tagNumber = CBOR.Tag.RESERVED_TAG_TYPED_ARRAY_FIRST +
+                          (CBOR.#typeCheck(littleEndian, 'boolean') ? 20n : 16n);
+      return CBOR.TypedArray(tagNumber, CBOR.Bytes(
+          CBOR.#typedArrayToBytes(numbers, CBOR.#typedArrayFormat(tagNumber))));
+    }
   }
 
 ///////////////////////////
-//  CBOR.initExtended()  //
+//   CBOR.MultiDimArray  //
 ///////////////////////////
 
-  static initExtended = function(cbor, sequenceFlag, acceptNonDeterministic, constrainedKeys) {
-    return new CBOR.#_decoder(cbor, 
-                              sequenceFlag,
-                              acceptNonDeterministic, 
-                              constrainedKeys);
+  // RFC 8746 tag 40 holding [dimensions, elements] in row-major order.
+  static MultiDimArray = class extends CBOR.Tag {
+
+    #dimensions;
+
+    // dimensions is a JavaScript array of integers or a CBOR.Array.
+    // elements is a CBOR.Array or CBOR.TypedArray.
+    constructor(dimensions, elements) {
+      if (Array.isArray(dimensions)) {
+        let cborDimensions = CBOR.Array();
+        dimensions.forEach(dimension => cborDimensions.add(CBOR.Int(dimension)));
+        dimensions = cborDimensions;
+      }
+      super(CBOR.Tag.RESERVED_TAG_MULTI_DIM_ARRAY,
+            CBOR.Array().add(dimensions).add(elements));
+      let count = 1;
+      if (dimensions instanceof CBOR.Array && dimensions.size() > 0) {
+        this.#dimensions = [];
+        for (let cborDimension of dimensions.toArray()) {
+          if (!(cborDimension instanceof CBOR.Int) || cborDimension.getInt() < 1) {
+            this.#dimensions = null;
+            break;
+          }
+          this.#dimensions.push(cborDimension.getInt());
+          count *= cborDimension.getInt();
+        }
+      }
+      let length = elements instanceof CBOR.Array ? elements.size() :
+          elements instanceof CBOR.TypedArray ?
+              elements.getTagObject().getBytes().length /
+                  CBOR.#typedArrayFormat(elements.getTagNumber()).elementSize : -1;
+      if (!this.#dimensions || length != count) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_MULTI_DIM_ARRAY +
+                        " requires matching [dimensions, elements] arrays");
+      }
+    }
+
+    getDimensions = function() {
+      return this.#dimensions.slice();
+    }
+
+    getElements = function() {
+      return this.getTagObject().get(1);
+    }
   }
 
 ///////////////////////////
-// CBOR.decodeExtended() //
+//     CBOR.Embedded     //
 ///////////////////////////
 
-  static decodeExtended = function(decoder) {
-    return CBOR.#getObject(decoder);
+  // Holds encoded data and the settings of the decoder that found it.
+  static #EncodedEmbedded = class {
+
+    constructor(tagNumber, bytes, optionalDecoder) {
+      this.tagNumber = tagNumber;
+      this.bytes = bytes;
+      this.decoderSettings = optionalDecoder ?
+          {acceptNonDeterministic: !optionalDecoder.deterministicMode,
+           constrainedKeys: optionalDecoder.constrainedKeys,
+           options: optionalDecoder.options} : CBOR.#EMBEDDED_DEFAULT_SETTINGS;
+    }
   }
 
-//================================//
-//   Diagnostic Notation Support  //
-//================================//
+  // Objects not created by the decoder may hold preserved encodings.
+  static #EMBEDDED_DEFAULT_SETTINGS = {acceptNonDeterministic: true,
+                                       constrainedKeys: false,
+                                       options: {preserveEncoding: true}};
+
+  // Tag 24 (encoded CBOR data item) and tag 63 (encoded CBOR sequence).
+  static Embedded = class extends CBOR.Tag {
+
+    #decoderSettings;
+    #sequence = null;
+
+    // Accepts a CBOR object (tag 24) or a JavaScript array of CBOR objects (tag 63).
+    constructor(content) {
+      let decoderSettings = CBOR.#EMBEDDED_DEFAULT_SETTINGS;
+      if (content instanceof CBOR.#EncodedEmbedded) {
+        super(content.tagNumber, content.bytes);
+        decoderSettings = content.decoderSettings;
+      } else if (Array.isArray(content)) {
+        let sequence = new Uint8Array();
+        content.forEach(object =>
+            sequence = CBOR.addArrays(sequence, CBOR.#cborArguentCheck(object).encode()));
+        super(CBOR.Tag.RESERVED_TAG_ENCODED_SEQUENCE, CBOR.Bytes(sequence));
+      } else {
+        super(CBOR.Tag.RESERVED_TAG_ENCODED_CBOR,
+              CBOR.Bytes(CBOR.#cborArguentCheck(content).encode()));
+      }
+      if (!(this.getTagObject() instanceof CBOR.Bytes)) {
+        throw TypeError("Tag " + this.getTagNumber() + " requires a byte string");
+      }
+      this.#decoderSettings = decoderSettings;
+    }
 
-  static #DiagnosticNotation = class {
+    isSequence = function() {
+      return this.getTagNumber() == CBOR.Tag.RESERVED_TAG_ENCODED_SEQUENCE;
+    }
 
-    cborText;
-    index;
-    sequence;
-  
-    constructor(cborText, sequence) {
-      this.cborText = cborText;
-      this.sequence = sequence;
-      this.index = 0;
+    // Decoded on first call, using the settings of the enclosing decoder.
+    getEmbeddedSequence = function() {
+      if (this.#sequence == null) {
+        let settings = this.#decoderSettings;
+        let sequenceFlag = this.isSequence();
+        let decoder = CBOR.initExtended(this.getTagObject().getBytes(),
+                                        sequenceFlag,
+                                        settings.acceptNonDeterministic,
+                                        settings.constrainedKeys,
+                                        settings.options);
+        let sequence = [];
+        let object;
+        while ((object = CBOR.decodeExtended(decoder))) {
+          sequence.push(object);
+          if (!sequenceFlag) {
+            break;
+          }
+        }
+        this.#sequence = sequence;
+      }
+      return this.#sequence.slice();
     }
-  
-    reportError = function(error) {
-      // Unsurprisingly, error handling turned out to be the most complex part...
-      let start = this.index - 100;
-      if (start < 0) {
-        start = 0;
+
+    getEmbeddedObject = function() {
+      if (this.isSequence()) {
+        throw TypeError("Tag " + this.getTagNumber() + " holds a sequence");
       }
-      let linePos = 0;
-      while (start < this.index - 1) {
-        if (this.cborText[start++] == '\n') {
-          linePos = start;
+      return this.getEmbeddedSequence()[0];
+    }
+
+    toString = function(cborPrinter) {
+      let sequence;
+      try {
+        sequence = this.getEmbeddedSequence();
+      } catch (error) {
+        // Not valid CBOR, print as a plain tag.
+        return this.getTagNumber() + '(' + this.getTagObject().toString() + ')';
+      }
+      return this.getTagNumber() + '(<<' +
+          sequence.map(object => object.toString(cborPrinter)).join(', ') + '>>)';
+    }
+  }
+
+///////////////////////////
+//       CBOR.UUID       //
+///////////////////////////
+
+  // Tag 37 holding a 16 byte UUID.
+  static UUID = class extends CBOR.Tag {
+
+    // Accepts a canonical "8-4-4-4-12" string, a 16 byte Uint8Array or a CBOR.Bytes.
+    constructor(uuid) {
+      if (typeof uuid == 'string') {
+        if (!/^[0-9a-fA-F]{8}(-[0-9a-fA-F]{4}){3}-[0-9a-fA-F]{12}$/.test(uuid)) {
+          throw SyntaxError("Invalid UUID: " + uuid);
         }
+        uuid = CBOR.fromHex(uuid.replace(/-/g, ''));
       }
-      let complete = '';
-      if (this.index > 0 && this.cborText[this.index - 1] == '\n') {
-        this.index--;
+      if (uuid instanceof Uint8Array) {
+        uuid = CBOR.Bytes(uuid);
       }
-      let endLine = this.index;
-      while (endLine < this.cborText.length) {
-        if (this.cborText[endLine] == '\n') {
-          break;
+      super(CBOR.Tag.RESERVED_TAG_UUID, uuid);
+      if (!(uuid instanceof CBOR.Bytes) || uuid.getBytes().length != 16) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_UUID + " requires a 16 byte string");
+      }
+    }
+
+    // Returns the canonical (lowercase) string representation.
+    getUUID = function() {
+      let hex = CBOR.toHex(this.getTagObject().getBytes());
+      return hex.substring(0, 8) + '-' + hex.substring(8, 12) + '-' + hex.substring(12, 16) +
+          '-' + hex.substring(16, 20) + '-' + hex.substring(20);
+    }
+
+    getVersion = function() {
+      return this.getTagObject().getBytes()[6] >> 4;
+    }
+
+    // Creates a random (version 4) or a time-ordered (version 7) UUID.
+    static createRandom = function(version) {
+      if (version != 4 && version != 7) {
+        throw RangeError("Unsupported UUID version: " + version);
+      }
+      let bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+      if (version == 7) {
+        // 48 bit big-endian millisecond timestamp.
+        let time = Date.now();
+        for (let q = 5; q >= 0; q--) {
+          bytes[q] = time % 256;
+          time = Math.floor(time / 256);
         }
-        endLine++;
       }
-      for (let q = linePos; q < endLine; q++) {
-        complete += this.cborText[q];
+      bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+      // RFC 9562 variant.
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      return CBOR.UUID(bytes);
+    }
+  }
+
+///////////////////////////
+//       CBOR.URI        //
+//      CBOR.Regex       //
+//       CBOR.MIME       //
+///////////////////////////
+
+  // Common base for tags holding a text string.
+  static #TextTag = class extends CBOR.Tag {
+
+    constructor(tagNumber, text) {
+      super(tagNumber, typeof text == 'string' ? CBOR.String(text) : text);
+      if (!(this.getTagObject() instanceof CBOR.String)) {
+        throw TypeError("Tag " + tagNumber + " requires a string");
       }
-      complete += '\n';
-      for (let q = linePos; q < this.index; q++) {
-        complete += '-';
+    }
+  }
+
+  // Tag 32 holding an absolute URI.
+  static URI = class extends CBOR.#TextTag {
+
+    // Accepts a string, a CBOR.String or a URL.
+    constructor(uri) {
+      super(CBOR.Tag.RESERVED_TAG_URI, uri instanceof URL ? uri.href : uri);
+      try {
+        new URL(this.getTagObject().getString());
+      } catch (error) {
+        throw SyntaxError("Invalid URI: " + this.getTagObject().getString());
       }
-      let lineNumber = 1;
-      for (let q = 0; q < this.index - 1; q++) {
-        if (this.cborText[q] == '\n') {
-          lineNumber++;
+    }
+
+    toURL = function() {
+      return new URL(this.getTagObject().getString());
+    }
+  }
+
+  // Tag 35 holding a regular expression.
+  static Regex = class extends CBOR.#TextTag {
+
+    // Accepts a string, a CBOR.String or a RegExp.  Since tag 35 does
+    // not support flags, RegExp objects must not have any.
+    constructor(pattern) {
+      if (pattern instanceof RegExp) {
+        if (pattern.flags) {
+          throw RangeError("Regular expression flags are not supported: " + pattern.flags);
         }
+        pattern = pattern.source;
       }
-      throw SyntaxError(complete + "^\n\nError in line " + lineNumber + ". " + error);
+      super(CBOR.Tag.RESERVED_TAG_REGEX, pattern);
+      // Throws on syntax errors.
+      this.toRegExp();
     }
-  
-    readToEOF = function() {
-      let cborObject = this.getObject();
-      if (this.index < this.cborText.length) {
-        this.readChar();
-        this.reportError("Unexpected data after token");
+
+    toRegExp = function(optionalFlags) {
+      return new RegExp(this.getTagObject().getString(), optionalFlags);
+    }
+  }
+
+  // Tag 36 holding a MIME message including headers.
+  static MIME = class extends CBOR.#TextTag {
+
+    // Accepts a string or a CBOR.String.
+    constructor(message) {
+      super(CBOR.Tag.RESERVED_TAG_MIME, message);
+      if (!/^[!-9;-~]+:/.test(this.getTagObject().getString())) {
+        throw SyntaxError("Invalid MIME message: missing header");
       }
-      return cborObject;
     }
 
-    readSequenceToEOF = function() {
-      let sequence = [];
-      while (true) {
-        sequence.push(this.getObject());
-        if (this.index < this.cborText.length) {
-          this.scanFor(",");
-        } else {
-          return sequence;
+    // Returns the (unfolded) value of the first header named name, or null.
+    getHeader = function(name) {
+      let headers = this.getTagObject().getString().split(/\r?\n\r?\n/)[0];
+      for (let header of headers.replace(/\r?\n[ \t]/g, ' ').split(/\r?\n/)) {
+        let colon = header.indexOf(':');
+        if (header.substring(0, colon).toLowerCase() == name.toLowerCase()) {
+          return header.substring(colon + 1).trim();
         }
       }
+      return null;
     }
+  }
 
-    getObject = function() {
-      this.scanNonSignficantData();
-      let cborObject = this.getRawObject();
-      this.scanNonSignficantData();
-      return cborObject;
-    }
-  
-    continueList = function(validStop) {
-      if (this.nextChar() == ',') {
-        this.readChar();
-        this.scanNonSignficantData();
-        return true;
+///////////////////////////
+//    CBOR.LangString    //
+///////////////////////////
+
+  // RFC 9290 tag 38 holding [language tag, text].
+  static LangString = class extends CBOR.Tag {
+
+    // Accepts a JavaScript array ["language tag", "text"] or a CBOR.Array.
+    // RFC 9290 adds an optional third element giving the text direction:
+    // true (right-to-left), false (left-to-right) or null.
+    constructor(langString) {
+      if (Array.isArray(langString)) {
+        let cborArray = CBOR.Array();
+        langString.forEach(element => cborArray.add(
+            typeof element == 'string' ? CBOR.String(element) :
+            typeof element == 'boolean' ? CBOR.Bool(element) :
+            element === null ? CBOR.Null() : element));
+        langString = cborArray;
+      }
+      super(CBOR.Tag.RESERVED_TAG_LANG_STRING, langString);
+      if (!(langString instanceof CBOR.Array) ||
+          (langString.size() != 2 && langString.size() != 3) ||
+          !(langString.get(0) instanceof CBOR.String) ||
+          !(langString.get(1) instanceof CBOR.String) ||
+          (langString.size() == 3 && !(langString.get(2) instanceof CBOR.Bool ||
+                                       langString.get(2) instanceof CBOR.Null))) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_LANG_STRING +
+                        " requires a [language, text] or [language, text, direction] array");
+      }
+      if (!/^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/.test(this.getLanguage())) {
+        throw SyntaxError("Invalid language tag: " + this.getLanguage());
       }
-      this.scanFor(validStop);
-      this.index--;
-      return false;
     }
-  
-    getRawObject = function() {
-      switch (this.readChar()) {
-    
-        case '<':
-          this.scanFor("<");
-          let embedded = this.getObject();
-          this.scanFor(">>");
-          return CBOR.Bytes(embedded.encode());
-  
-        case '[':
-          let array = CBOR.Array();
-          this.scanNonSignficantData();
-          while (this.readChar() != ']') {
-            this.index--;
-            do {
-              array.add(this.getObject());
-            } while (this.continueList(']'));
-          }
-          return array;
-   
-        case '{':
-          let map = CBOR.Map();
-          this.scanNonSignficantData();
-          while (this.readChar() != '}') {
-            this.index--;
-            do {
-              let key = this.getObject();
-              this.scanFor(":");
-              map.set(key, this.getObject());
-            } while (this.continueList('}'));
-          }
-          return map;
-     
-        case '\'':
-          return this.getString(true);
-        
-        case '"':
-          return this.getString(false);
 
-        case 'h':
-          return this.getBytes(false);
+    getLanguage = function() {
+      return this.getTagObject().get(0).getString();
+    }
 
-        case 'b':
-          if (this.nextChar() == '3') {
-            this.scanFor("32'");
-            this.reportError("b32 not implemented");
-          }
-          this.scanFor("64");
-          return this.getBytes(true);
-        
-        case 't':
-          this.scanFor("rue");
-          return CBOR.Bool(true);
-     
-        case 'f':
-          this.scanFor("alse");
-          return CBOR.Bool(false);
-     
-        case 'n':
-          this.scanFor("ull");
-          return CBOR.Null();
+    getText = function() {
+      return this.getTagObject().get(1).getString();
+    }
 
-        case '-':
-          if (this.readChar() == 'I') {
-            this.scanFor("nfinity");
-            return CBOR.Float(Number.NEGATIVE_INFINITY);
+    // Returns true (right-to-left), false (left-to-right), or null if
+    // the direction is null or missing.
+    getDirection = function() {
+      let langString = this.getTagObject();
+      return langString.size() == 3 && langString.get(2) instanceof CBOR.Bool ?
+          langString.get(2).getBool() : null;
+    }
+  }
+
+///////////////////////////
+//       CBOR.Set        //
+///////////////////////////
+
+  // Tag 258 holding unique elements, sorted by their deterministic encoding.
+  static Set = class extends CBOR.Tag {
+
+    #sorted = true;
+
+    // Accepts a JavaScript array of CBOR objects or a CBOR.Array, which is copied.
+    constructor(elements) {
+      // Sorted arrays are used as is, keeping a possibly preserved encoding.
+      let sorted = elements instanceof CBOR.Array && CBOR.#getSetOrderError(elements) == null;
+      // Arrays decoded with preserveEncoding keep their original order until modified.
+      let preserved = !sorted && elements instanceof CBOR.Array && !!elements._header;
+      super(CBOR.Tag.RESERVED_TAG_SET,
+            sorted || preserved ? CBOR.#copyArray(elements) : CBOR.Array());
+      if (preserved) {
+        this.#sorted = false;
+        let encodings = {};
+        elements.toArray().forEach(element => {
+          let encoded = CBOR.toHex(CBOR.#encodeDeterministically(element));
+          if (encodings[encoded]) {
+            throw new CBOR.DuplicateKeyError(element);
           }
-          return this.getNumberOrTag(true);
+          encodings[encoded] = true;
+        });
+      } else if (!sorted) {
+        if (elements instanceof CBOR.Array) {
+          elements = elements.toArray();
+        }
+        if (!Array.isArray(elements)) {
+          throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_SET + " requires an array");
+        }
+        elements.forEach(element => this.add(element));
+      }
+    }
 
-        case '0':
-        case '1':
-        case '2':
-        case '3':
-        case '4':
-        case '5':
-        case '6':
-        case '7':
-        case '8':
-        case '9':
-            return this.getNumberOrTag(false);
+    add = function(element) {
+      this.#sortElements();
+      let index = this.#search(element);
+      if (index >= 0) {
+        throw new CBOR.DuplicateKeyError(element);
+      }
+      this.getTagObject()._insert(-index - 1, element);
+      return this;
+    }
 
-        case 'N':
-          this.scanFor("aN");
-          return CBOR.Float(Number.NaN);
+    has = function(element) {
+      return this.#search(element) >= 0;
+    }
 
-        case 'I':
-          this.scanFor("nfinity");
-          return CBOR.Float(Number.POSITIVE_INFINITY);
-        
-        default:
-          this.index--;
-          this.reportError("Unexpected character: " + this.toChar(this.readChar()));
+    remove = function(element) {
+      this.#sortElements();
+      let index = this.#search(element);
+      if (index < 0) {
+        throw new CBOR.MissingKeyError(element, "Missing element: " + element);
       }
+      return this.getTagObject()._remove(index);
     }
 
-    getNumberOrTag = function(negative) {
-      let token = '';
-      this.index--;
-      let prefix = null;
-      if (this.readChar() == '0') {
-        switch (this.nextChar()) {
-          case 'b':
-          case 'o':
-          case 'x':
-            prefix = '0' + this.readChar();
-            break;
+    size = function() {
+      return this.getTagObject().size();
+    }
+
+    toArray = function() {
+      return this.getTagObject().toArray();
+    }
+
+    #sortElements = function() {
+      if (!this.#sorted) {
+        let array = this.getTagObject();
+        let elements = array.toArray();
+        while (array.size()) {
+          array._remove(0);
         }
+        this.#sorted = true;
+        elements.forEach(element => this.add(element));
       }
-      if (prefix == null) {
-        this.index--;
-      }
-      let floatingPoint = false;
-      while (true)  {
-        token += this.readChar();
-        switch (this.nextChar()) {
-          case '\u0000':
-          case ' ':
-          case '\n':
-          case '\r':
-          case '\t':
-          case ',':
-          case ':':
-          case '>':
-          case ']':
-          case '}':
-          case '/':
-          case '#':
-          case '(':
-          case ')':
-            break;
-          
-          case '.':
-            floatingPoint = true;
-            continue;
+    }
 
-          default:
-            continue;
+    // Returns the index of element, or -(insertion point) - 1 if not found.
+    // Unsorted elements only return the index or -1.
+    #search = function(element) {
+      let encoded = CBOR.#encodeDeterministically(CBOR.#cborArguentCheck(element));
+      let array = this.getTagObject();
+      if (!this.#sorted) {
+        for (let q = 0; q < array.size(); q++) {
+          if (CBOR.compareArrays(CBOR.#encodeDeterministically(array.get(q)), encoded) == 0) {
+            return q;
+          }
         }
-        break;
+        return -1;
       }
-      try {
-        if (floatingPoint) {
-          this.testForNonDecimal(prefix);
-          let value = Number(token);
-          // Implicit overflow is not permitted
-          if (!Number.isFinite(value)) {
-            throw RangeError("Floating point value out of range");
-          }
-          return CBOR.Float(negative ? -value : value);
+      let low = 0;
+      let high = array.size() - 1;
+      while (low <= high) {
+        let middle = (low + high) >> 1;
+        let diff = CBOR.compareArrays(CBOR.#encodeDeterministically(array.get(middle)), encoded);
+        if (diff == 0) {
+          return middle;
         }
-        if (this.nextChar() == '(') {
-          // Do not accept '-', 0xhhh, or leading zeros
-          this.testForNonDecimal(prefix);
-          if (negative || (token.length() > 1 && token.charAt(0) == '0')) {
-            this.reportError("Tag syntax error");
-          }
-          this.readChar();
-          let tagNumber = BigInt(token);
-          let taggedbject = this.getObject();
-          if (tagNumber == CBOR.Tag.RESERVED_TAG_COTX) {
-              if (!taggedbject instanceof CBOR.Array || taggedbject.size() != 2 ||
-                  !taggedbject.get(0) instanceof CBOR.String) {
-                this.reportError("Special tag " + CBOR.Tag.RESERVED_TAG_COTX + " syntax error");
-            }
-          }
-          let cborTag = CBOR.Tag(tagNumber, taggedObject);
-          this.scanFor(")");
-          return cborTag;
+        if (diff < 0) {
+          low = middle + 1;
+        } else {
+          high = middle - 1;
         }
-        let bigInt = BigInt((prefix == null ? '' : prefix) + token);
-        // Clone: slight quirk to get the proper CBOR integer type  
-        return CBOR.BigInt(negative ? -bigInt : bigInt).clone();
-      } catch (error) {
-        this.reportError(error.toString());
       }
+      return -low - 1;
+    }
+  }
+
+///////////////////////////
+//    CBOR.TypedMap      //
+///////////////////////////
+
+  // Tag 259 holding a map that should be treated as a JavaScript Map,
+  // typically because it has non-text keys.
+  static TypedMap = class extends CBOR.Tag {
+
+    // Accepts a CBOR.Map.
+    constructor(map) {
+      super(CBOR.Tag.RESERVED_TAG_TYPED_MAP, map);
+      if (!(map instanceof CBOR.Map)) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_TYPED_MAP + " requires a map");
+      }
+    }
+
+    // Returns a JavaScript Map where integer, floating point, string and
+    // boolean keys are converted to their JavaScript counterparts, while
+    // other keys and all values remain CBOR objects.  Throws if distinct
+    // CBOR keys like 1 and 1.0 convert to the same JavaScript key.
+    toJSMap = function() {
+      let map = this.getTagObject();
+      let jsMap = new Map();
+      map.getKeys().forEach(key => {
+        let primitive = key instanceof CBOR.Int || key instanceof CBOR.BigInt ||
+                        key instanceof CBOR.Float || key instanceof CBOR.String ||
+                        key instanceof CBOR.Bool;
+        let jsKey = primitive ? key._get() : key;
+        if (jsMap.has(jsKey)) {
+          throw new CBOR.DuplicateKeyError(key);
+        }
+        jsMap.set(jsKey, map.get(key));
+      });
+      return jsMap;
+    }
+  }
+
+///////////////////////////
+//       CBOR.Cotx       //
+///////////////////////////
+
+  // Tag 1010 holding ["object id", object].
+  static Cotx = class extends CBOR.Tag {
+
+    // objectId is a string or CBOR.String, object is any CBOR object.
+    constructor(objectId, object) {
+      if (!(objectId instanceof CBOR.String || typeof objectId == 'string')) {
+        throw SyntaxError(CBOR.#COTX_SYNTAX_ERROR);
+      }
+      super(CBOR.Tag.RESERVED_TAG_COTX,
+            CBOR.Array().add(typeof objectId == 'string' ? CBOR.String(objectId) : objectId)
+                        .add(object));
+    }
+
+    getObjectId = function() {
+      return this.getTagObject().get(0).getString();
+    }
+
+    getObject = function() {
+      return this.getTagObject().get(1);
+    }
+
+    // handler is an object with the same optional methods as for CBOR.registerTag(),
+    // but called with (object, objectId).  Decoded COTX tags with a matching
+    // object ID are validated and get an application object.
+    static register = function(objectId, handler) {
+      CBOR.#typeCheck(objectId, 'string');
+      if (handler === null) {
+        CBOR.#cotxRegistry.delete(objectId);
+      } else {
+        CBOR.#cotxRegistry.set(objectId, CBOR.#tagHandlerCheck(handler));
+      }
+    }
+
+    static fromApplication = function(objectId, value) {
+      let handler = CBOR.#cotxRegistry.get(CBOR.#typeCheck(objectId, 'string'));
+      if (!handler || !handler.encode) {
+        throw new CBOR.EncodeError('NO_ENCODER', "No encoder registered for COTX: " + objectId);
+      }
+      let cotx = CBOR.#createTag(CBOR.Tag.RESERVED_TAG_COTX, CBOR.Array()
+          .add(CBOR.String(objectId))
+          .add(CBOR.#cborArguentCheck(handler.encode(value, objectId))));
+      cotx._applicationObject = value;
+      return cotx;
+    }
+  }
+
+///////////////////////////
+//   CBOR.ExtendedTime   //
+//     CBOR.Duration     //
+//      CBOR.Period      //
+///////////////////////////
+
+  // Common base for RFC 9581 tags 1001 and 1002 holding maps where key 1, 4 or 5
+  // holds the base value in seconds, and negative keys -3, -6 .. -18 optional
+  // decimal fractions.
+  static #TimeMap = class extends CBOR.Tag {
+
+    #nanoseconds;
+    #timeScale = 0;
+    #timeZoneHint = null;
+
+    constructor(tagNumber, map) {
+      super(tagNumber, map);
+      if (!(map instanceof CBOR.Map)) {
+        throw TypeError("Tag " + tagNumber + " requires a map");
+      }
+      let isTime = tagNumber == CBOR.Tag.RESERVED_TAG_EXTENDED_TIME;
+      let base = null;
+      let fraction = 0n;
+      let fractionKey = null;
+      map.getKeys().forEach(key => {
+        if (!(key instanceof CBOR.Int)) {
+          throw TypeError("Tag " + tagNumber + " requires integer keys");
+        }
+        let value = map.get(key);
+        let keyValue = key.getInt();
+        switch (keyValue) {
+          case 1:
+          case 4:
+          case 5:
+            if (base != null) {
+              throw TypeError("Tag " + tagNumber + " requires a single base value");
+            }
+            base = CBOR.#secondsToNanoseconds(keyValue, value);
+            break;
+
+          case -1:
+            if (!(value instanceof CBOR.Int) || value.getInt() < 0 || value.getInt() > 1) {
+              throw RangeError("Unsupported time scale: " + value);
+            }
+            this.#timeScale = value.getInt();
+            break;
+
+          case -3:
+          case -6:
+          case -9:
+          case -12:
+          case -15:
+          case -18:
+            let limit = 10n ** BigInt(-keyValue);
+            if (fractionKey != null ||
+                !(value instanceof CBOR.Int || value instanceof CBOR.BigInt) ||
+                value.getBigInt() < 0n || value.getBigInt() >= limit) {
+              throw RangeError("Invalid decimal fraction for key: " + keyValue);
+            }
+            fractionKey = keyValue;
+            fraction = CBOR.#floorDivide(value.getBigInt() * 1000000000n, limit);
+            break;
+
+          case 10:
+            if (isTime) {
+              if (!(value instanceof CBOR.String || value instanceof CBOR.Int)) {
+                throw TypeError("Time zone hint must be a string or an integer");
+              }
+              this.#timeZoneHint = value._get();
+            }
+            break;
+
+          default:
+            // Negative keys are critical and must be understood.
+            if (keyValue < 0) {
+              throw RangeError("Unsupported critical key: " + keyValue);
+            }
+        }
+      });
+      if (base == null) {
+        throw TypeError("Tag " + tagNumber + " requires a base value (key 1, 4 or 5)");
+      }
+      let integerBase = map.getConditionally(CBOR.Int(1), null);
+      if (fractionKey != null &&
+          !(integerBase instanceof CBOR.Int || integerBase instanceof CBOR.BigInt)) {
+        throw TypeError("Decimal fractions require an integer base value");
+      }
+      this.#nanoseconds = base + fraction;
+    }
+
+    _getNanoseconds = function() {
+      return this.#nanoseconds;
+    }
+
+    // 0 = UTC, 1 = TAI.
+    getTimeScale = function() {
+      return this.#timeScale;
+    }
+
+    // Returns a string (like "Europe/Paris"), an offset in minutes, or null.
+    getTimeZoneHint = function() {
+      return this.#timeZoneHint;
+    }
+  }
+
+  // Tag 1001 holding an extended time map.
+  static ExtendedTime = class extends CBOR.#TimeMap {
+
+    // Accepts a JavaScript Date, nanoseconds since the epoch as a BigInt, or a CBOR.Map.
+    constructor(time) {
+      if (time instanceof Date) {
+        time = BigInt(CBOR.#dateCheck(time).getTime()) * 1000000n;
+      }
+      if (typeof time == 'bigint') {
+        time = CBOR.#nanosecondsToTimeMap(time);
+      }
+      super(CBOR.Tag.RESERVED_TAG_EXTENDED_TIME, time);
+    }
+
+    getEpochNanoseconds = function() {
+      return this._getNanoseconds();
+    }
+
+    // Sub-millisecond parts are truncated (rounded toward -Infinity).
+    getDate = function() {
+      return CBOR.#dateCheck(new Date(
+          Number(CBOR.#floorDivide(this._getNanoseconds(), 1000000n))));
+    }
+
+    // Returns an RFC 3339 string with up to nine fractional digits.
+    toISOString = function() {
+      let nanoseconds = this._getNanoseconds();
+      let seconds = CBOR.#floorDivide(nanoseconds, 1000000000n);
+      let dateTime = CBOR.#dateToRfc3339(new Date(Number(seconds) * 1000));
+      let fraction = nanoseconds - seconds * 1000000000n;
+      if (fraction) {
+        dateTime = dateTime.substring(0, dateTime.length - 1) + '.' +
+            fraction.toString().padStart(9, '0').replace(/0+$/, '') + 'Z';
+      }
+      return dateTime;
+    }
+
+    _getComment = function() {
+      try {
+        return this.toISOString();
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  // Tag 1002 holding a duration map.
+  static Duration = class extends CBOR.#TimeMap {
+
+    // Accepts a number of seconds, nanoseconds as a BigInt, or a CBOR.Map.
+    constructor(duration) {
+      if (typeof duration == 'number') {
+        duration = CBOR.Map().set(CBOR.Int(1), Number.isSafeInteger(duration) ?
+            CBOR.Int(duration) : CBOR.Float(CBOR.#finiteCheck(duration)));
+      }
+      if (typeof duration == 'bigint') {
+        duration = CBOR.#nanosecondsToTimeMap(duration);
+      }
+      super(CBOR.Tag.RESERVED_TAG_DURATION, duration);
+    }
+
+    getNanoseconds = function() {
+      return this._getNanoseconds();
+    }
+
+    getSeconds = function() {
+      return Number(this._getNanoseconds()) / 1000000000;
+    }
+
+    // Returns an ISO 8601 duration like "PT1.5S".
+    toISOString = function() {
+      let nanoseconds = this._getNanoseconds();
+      let sign = nanoseconds < 0n ? '-' : '';
+      let decimal = CBOR.#decimalToString(sign ? -nanoseconds : nanoseconds, -9);
+      return sign + 'PT' + decimal.replace(/\.?0+$/, '') + 'S';
+    }
+
+    _getComment = function() {
+      return this.toISOString();
+    }
+  }
+
+  // Tag 1003 holding [start, end, duration] where exactly two are non-null.
+  static Period = class extends CBOR.Tag {
+
+    // Accepts a JavaScript array holding CBOR.ExtendedTime, CBOR.Duration, CBOR.Map
+    // or null elements, or a CBOR.Array.
+    constructor(period) {
+      if (Array.isArray(period)) {
+        let cborArray = CBOR.Array();
+        period.forEach(element => cborArray.add(element == null ? CBOR.Null() :
+            element instanceof CBOR.#TimeMap ? element.getTagObject() : element));
+        period = cborArray;
+      }
+      super(CBOR.Tag.RESERVED_TAG_PERIOD, period);
+      let count = 0;
+      if (period instanceof CBOR.Array && (period.size() == 2 || period.size() == 3)) {
+        period.toArray().forEach((element, index) => {
+          if (element instanceof CBOR.Map) {
+            // Throws on invalid content.
+            index == 2 ? CBOR.Duration(element) : CBOR.ExtendedTime(element);
+            count++;
+          } else if (!element.getNull()) {
+            count = -3;
+          }
+        });
+      }
+      if (count != 2) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_PERIOD +
+                        " requires [start, end, ?duration] where two are non-null");
+      }
+    }
+
+    getStart = function() {
+      return this.#getElement(0, CBOR.ExtendedTime);
+    }
+
+    getEnd = function() {
+      return this.#getElement(1, CBOR.ExtendedTime);
+    }
+
+    getDuration = function() {
+      return this.#getElement(2, CBOR.Duration);
+    }
+
+    #getElement = function(index, type) {
+      let array = this.getTagObject();
+      return index < array.size() && !array.get(index).getNull() ?
+                                                     type(array.get(index)) : null;
+    }
+  }
+
+///////////////////////////
+//    CBOR.EpochDate     //
+//     CBOR.FullDate     //
+///////////////////////////
+
+  // RFC 8943 tag 100 holding days since 1970-01-01.
+  static EpochDate = class extends CBOR.Tag {
+
+    // Accepts a JavaScript Date (using its UTC date), a number of days, or a CBOR.Int.
+    constructor(days) {
+      if (days instanceof Date) {
+        days = Math.floor(CBOR.#dateCheck(days).getTime() / 86400000);
+      }
+      super(CBOR.Tag.RESERVED_TAG_EPOCH_DATE, typeof days == 'number' ? CBOR.Int(days) : days);
+      if (!(this.getTagObject() instanceof CBOR.Int)) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_EPOCH_DATE + " requires an integer");
+      }
+      // The range of JavaScript Date.
+      if (Math.abs(this.getEpochDays()) > 100000000) {
+        throw RangeError("Epoch date out of range: " + this.getEpochDays());
+      }
+    }
+
+    getEpochDays = function() {
+      return this.getTagObject().getInt();
+    }
+
+    // Returns midnight UTC.
+    getDate = function() {
+      return new Date(this.getEpochDays() * 86400000);
+    }
+
+    // Returns "YYYY-MM-DD".
+    toISOString = function() {
+      return CBOR.#dateToRfc3339(this.getDate()).substring(0, 10);
+    }
+
+    _getComment = function() {
+      try {
+        return this.toISOString();
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  // RFC 8943 tag 1004 holding an RFC 3339 full-date string.
+  static FullDate = class extends CBOR.Tag {
+
+    // Accepts a JavaScript Date (using its UTC date), a "YYYY-MM-DD" string or a CBOR.String.
+    constructor(date) {
+      if (date instanceof Date) {
+        date = CBOR.#dateToRfc3339(date).substring(0, 10);
+      }
+      super(CBOR.Tag.RESERVED_TAG_FULL_DATE, typeof date == 'string' ? CBOR.String(date) : date);
+      if (!(this.getTagObject() instanceof CBOR.String)) {
+        throw TypeError("Tag " + CBOR.Tag.RESERVED_TAG_FULL_DATE + " requires a string");
+      }
+      let match = this.toISOString().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      let utcDate = new Date(0);
+      // Unlike Date.UTC(), setUTCFullYear() does not map years 0-99 to 1900-1999.
+      if (match) {
+        utcDate.setUTCFullYear(match[1], match[2] - 1, match[3]);
+      }
+      if (!match || CBOR.#dateToRfc3339(utcDate).substring(0, 10) != this.toISOString()) {
+        throw SyntaxError("Invalid full-date: " + this.toISOString());
+      }
+    }
+
+    getEpochDays = function() {
+      return this.getDate().getTime() / 86400000;
+    }
+
+    // Returns midnight UTC.
+    getDate = function() {
+      return new Date(this.toISOString() + 'T00:00:00Z');
+    }
+
+    toISOString = function() {
+      return this.getTagObject().getString();
+    }
+  }
+
+///////////////////////////
+//     CBOR.IPAddress    //
+//     CBOR.IPPrefix     //
+///////////////////////////
+
+  // RFC 9164 tag 52 (IPv4) or 54 (IPv6) holding an address.
+  static IPAddress = class extends CBOR.Tag {
+
+    // Accepts a textual address, a 4 or 16 byte Uint8Array or a CBOR.Bytes.
+    constructor(address) {
+      if (typeof address == 'string') {
+        address = CBOR.#parseIPAddress(address);
+      }
+      if (address instanceof Uint8Array) {
+        address = CBOR.Bytes(address);
+      }
+      let length = address instanceof CBOR.Bytes ? address.getBytes().length : 0;
+      super(length == 4 ? CBOR.Tag.RESERVED_TAG_IPV4 : CBOR.Tag.RESERVED_TAG_IPV6, address);
+      if (length != 4 && length != 16) {
+        throw TypeError("IP address requires a 4 or 16 byte string");
+      }
+    }
+
+    // Returns 4 or 6.
+    getVersion = function() {
+      return this.getTagNumber() == CBOR.Tag.RESERVED_TAG_IPV4 ? 4 : 6;
+    }
+
+    // Returns dotted decimal (IPv4) or RFC 5952 (IPv6) notation.
+    getAddress = function() {
+      return CBOR.#ipAddressToString(this.getTagObject().getBytes());
+    }
+
+    // Uses the EDN application-extension literal ip'...'.
+    toString = function() {
+      return "ip'" + this.getAddress() + "'";
+    }
+  }
+
+  // RFC 9164 tag 52 (IPv4) or 54 (IPv6) holding a [prefix length, prefix] array.
+  // Trailing zero bytes are not part of the encoded prefix.
+  static IPPrefix = class extends CBOR.Tag {
+
+    // Accepts (address, prefixLength) where address is a textual address,
+    // a 4 or 16 byte Uint8Array or a CBOR.IPAddress, or (tagNumber, CBOR.Array).
+    constructor(addressOrTagNumber, prefixLengthOrArray) {
+      let tagNumber = addressOrTagNumber;
+      let array = prefixLengthOrArray;
+      if (!(prefixLengthOrArray instanceof CBOR.Array)) {
+        let address = addressOrTagNumber instanceof CBOR.IPAddress ?
+            addressOrTagNumber : CBOR.IPAddress(addressOrTagNumber);
+        let bytes = address.getTagObject().getBytes();
+        let length = bytes.length;
+        while (length > 0 && bytes[length - 1] == 0) {
+          length--;
+        }
+        tagNumber = address.getTagNumber();
+        array = CBOR.Array().add(CBOR.Int(CBOR.#intCheck(prefixLengthOrArray)))
+                            .add(CBOR.Bytes(bytes.slice(0, length)));
+      }
+      super(tagNumber, array);
+      let addressLength = this.getTagNumber() == CBOR.Tag.RESERVED_TAG_IPV4 ? 4 : 16;
+      if (!(array instanceof CBOR.Array) || array.size() != 2 ||
+          !(array.get(0) instanceof CBOR.Int) || !(array.get(1) instanceof CBOR.Bytes) ||
+          (this.getTagNumber() != CBOR.Tag.RESERVED_TAG_IPV4 &&
+           this.getTagNumber() != CBOR.Tag.RESERVED_TAG_IPV6)) {
+        throw TypeError("IP prefix requires a [prefix length, byte string] array");
+      }
+      let prefixLength = array.get(0).getInt();
+      let prefix = array.get(1).getBytes();
+      if (prefixLength < 0 || prefixLength > addressLength * 8) {
+        throw RangeError("Invalid IP prefix length: " + prefixLength);
+      }
+      if (prefix.length && prefix[prefix.length - 1] == 0) {
+        throw RangeError("IP prefix must not have trailing zero bytes");
+      }
+      // Also covers bits set beyond the prefix length in the last byte.
+      if (prefix.length > (prefixLength + 7) >> 3 ||
+          (prefixLength & 7 && prefix.length == (prefixLength + 7) >> 3 &&
+           prefix[prefix.length - 1] & (0xff >> (prefixLength & 7)))) {
+        throw RangeError("IP prefix has bits set beyond the prefix length");
+      }
+    }
+
+    // Returns 4 or 6.
+    getVersion = function() {
+      return this.getTagNumber() == CBOR.Tag.RESERVED_TAG_IPV4 ? 4 : 6;
+    }
+
+    getPrefixLength = function() {
+      return this.getTagObject().get(0).getInt();
+    }
+
+    // Returns the network address as a CBOR.IPAddress.
+    getAddress = function() {
+      let address = new Uint8Array(this.getVersion() == 4 ? 4 : 16);
+      address.set(this.getTagObject().get(1).getBytes());
+      return CBOR.IPAddress(address);
+    }
+
+    // Returns CIDR notation like "192.0.2.0/24".
+    getCIDR = function() {
+      return this.getAddress().getAddress() + '/' + this.getPrefixLength();
+    }
+
+    // Uses the EDN application-extension literal ip'...'.
+    toString = function() {
+      return "ip'" + this.getCIDR() + "'";
+    }
+
+    // Parses CIDR notation like "2001:db8::/32".
+    static fromCIDR = function(cidr) {
+      let match = CBOR.#typeCheck(cidr, 'string').match(/^([^/]+)\/(0|[1-9]\d{0,2})$/);
+      if (!match) {
+        throw SyntaxError("Invalid CIDR notation: " + cidr);
+      }
+      return CBOR.IPPrefix(match[1], Number(match[2]));
+    }
+  }
+
+///////////////////////////
+//      CBOR.Writer      //
+///////////////////////////
+
+  // Low-level encoder writing items directly into a growing buffer, intended
+  // for data that is too large or too dynamic for building CBOR object trees.
+  // Containers given a count close automatically when the last item has been
+  // written, while indefinite length containers must be closed by end().
+  // Multiple top level items result in a CBOR sequence.
+  static Writer = class {
+
+    #buffer = new Uint8Array(256);
+    #length = 0;
+    #deterministicMode;
+    #frames = [];
+
+    constructor(deterministicMode) {
+      this.#deterministicMode = CBOR.#typeCheck(deterministicMode, 'boolean');
+    }
+
+    writeInt = function(value) {
+      return this.#writeItem(CBOR.Int(value).encode());
+    }
+
+    writeBigInt = function(value) {
+      return this.#writeItem(CBOR.BigInt(value).encode());
+    }
+
+    writeFloat = function(value) {
+      return this.#writeItem(CBOR.Float(value).encode());
+    }
+
+    writeString = function(string) {
+      return this.#writeItem(CBOR.String(string).encode(), CBOR.#MT_STRING);
+    }
+
+    writeBytes = function(bytes) {
+      return this.#writeItem(CBOR.Bytes(bytes).encode(), CBOR.#MT_BYTES);
+    }
+
+    writeBool = function(bool) {
+      return this.#writeItem(CBOR.Bool(bool).encode());
+    }
+
+    writeNull = function() {
+      return this.#writeItem(CBOR.Null().encode());
+    }
+
+    writeUndefined = function() {
+      return this.#writeItem(CBOR.Undefined().encode());
+    }
+
+    writeSimple = function(value) {
+      return this.#writeItem(CBOR.Simple(value).encode());
+    }
+
+    writeObject = function(object) {
+      return this.#writeItem(CBOR.#cborArguentCheck(object).encode());
+    }
+
+    // The tag is completed by the next item (which may be a container).
+    writeTag = function(tagNumber) {
+      if (typeof tagNumber != 'bigint') {
+        tagNumber = BigInt(CBOR.#intCheck(tagNumber));
+      }
+      if (tagNumber < 0n || tagNumber >= 0x10000000000000000n) {
+        throw RangeError("Tag value is out of range");
+      }
+      this.#beginItem();
+      this.#append(CBOR.#finishBigIntAndTag(CBOR.#MT_TAG, tagNumber));
+      return this.#openFrame(CBOR.#MT_TAG, 1);
+    }
+
+    beginArray = function(optionalCount) {
+      return this.#beginContainer(CBOR.#MT_ARRAY, optionalCount);
+    }
+
+    // The count refers to key/value pairs.
+    beginMap = function(optionalCount) {
+      return this.#beginContainer(CBOR.#MT_MAP, optionalCount);
+    }
+
+    // Indefinite length strings take writeBytes() chunks until end().
+    beginBytes = function() {
+      return this.#beginContainer(CBOR.#MT_BYTES);
+    }
+
+    // Indefinite length strings take writeString() chunks until end().
+    beginString = function() {
+      return this.#beginContainer(CBOR.#MT_STRING);
+    }
+
+    end = function() {
+      let frame = this.#frames[this.#frames.length - 1];
+      if (!frame || frame.count != null) {
+        throw new CBOR.EncodeError('NO_OPEN_ITEM', "No open indefinite length item");
+      }
+      if (frame.majorType == CBOR.#MT_MAP && frame.items & 1) {
+        throw new CBOR.EncodeError('MAP_KEY_WITHOUT_VALUE', "Map key without value");
+      }
+      this.#append(new Uint8Array([CBOR.#MT_BREAK]));
+      return this.#closeFrame();
+    }
+
+    getEncoded = function() {
+      if (this.#frames.length) {
+        throw new CBOR.EncodeError('UNFINISHED_ITEMS',
+                                   "Unfinished item(s): " + this.#frames.length);
+      }
+      return this.#buffer.slice(0, this.#length);
+    }
+
+    #beginContainer = function(majorType, optionalCount) {
+      this.#beginItem();
+      if (optionalCount == undefined) {
+        if (this.#deterministicMode) {
+          throw new CBOR.EncodeError('INDEFINITE_LENGTH_NOT_PERMITTED',
+              "Indefinite length items are not permitted in deterministic mode");
+        }
+        this.#append(new Uint8Array([majorType | 31]));
+        return this.#openFrame(majorType, null);
+      }
+      let count = CBOR.#intCheck(optionalCount);
+      if (count < 0) {
+        throw RangeError("Negative count: " + count);
+      }
+      this.#append(CBOR.#encodeTagAndN(majorType, count));
+      return this.#openFrame(majorType, majorType == CBOR.#MT_MAP ? count * 2 : count);
+    }
+
+    #openFrame = function(majorType, count) {
+      this.#frames.push({majorType: majorType, count: count, items: 0});
+      if (count === 0) {
+        return this.#closeFrame();
+      }
+      return this;
+    }
+
+    #closeFrame = function() {
+      this.#frames.pop();
+      return this.#itemDone();
+    }
+
+    #beginItem = function(stringType) {
+      let frame = this.#frames[this.#frames.length - 1];
+      if (frame) {
+        if ((frame.majorType == CBOR.#MT_BYTES || frame.majorType == CBOR.#MT_STRING) &&
+            frame.majorType != stringType) {
+          throw TypeError("Chunk type does not match indefinite length string");
+        }
+        frame.itemStart = this.#length;
+      }
+    }
+
+    #writeItem = function(encoded, stringType) {
+      this.#beginItem(stringType);
+      this.#append(encoded);
+      return this.#itemDone();
+    }
+
+    #itemDone = function() {
+      let frame = this.#frames[this.#frames.length - 1];
+      if (frame) {
+        if (frame.majorType == CBOR.#MT_MAP && !(frame.items & 1) && 
+            this.#deterministicMode) {
+          // Just got a key, it must be larger than its predecessor.
+          let encodedKey = this.#buffer.slice(frame.itemStart, this.#length);
+          if (frame.lastKey) {
+            let diff = CBOR.compareArrays(frame.lastKey, encodedKey);
+            if (diff > 0) {
+              throw new CBOR.DeterminismError('map-order', "Non-deterministic order: " +
+                                                           CBOR.decode(encodedKey));
+            }
+            if (diff == 0) {
+              throw new CBOR.DuplicateKeyError(CBOR.decode(encodedKey));
+            }
+          }
+          frame.lastKey = encodedKey;
+        }
+        if (++frame.items === frame.count) {
+          return this.#closeFrame();
+        }
+      }
+      return this;
+    }
+
+    #append = function(bytes) {
+      if (this.#length + bytes.length > this.#buffer.length) {
+        let buffer = new Uint8Array(Math.max(this.#buffer.length * 2, 
+                                             this.#length + bytes.length));
+        buffer.set(this.#buffer.subarray(0, this.#length));
+        this.#buffer = buffer;
+      }
+      this.#buffer.set(bytes, this.#length);
+      this.#length += bytes.length;
+    }
+  }
+
+///////////////////////////
+//        Proxy          //
+///////////////////////////
+
+  // The Proxy concept enables checks for invocation by "new" and number of arguments.
+  static #handler = class {
+
+    constructor(numberOfArguments) {
+      this.numberOfArguments = numberOfArguments;
+    }
+
+    apply(target, thisArg, argumentsList) {
+      if (argumentsList.length != this.numberOfArguments) {
+        throw SyntaxError("CBOR." + target.name + " expects " +
+                          this.numberOfArguments + " argument(s)");
+      }
+      return new target(...argumentsList);
+    }
+
+    construct(target, args) {
+      throw SyntaxError("CBOR." + target.name + " does not permit \"new\"");
+    }
+  }
+
+  static Int = new Proxy(CBOR.Int, new CBOR.#handler(1));
+  static BigInt = new Proxy(CBOR.BigInt, new CBOR.#handler(1));
+  static Float = new Proxy(CBOR.Float, new CBOR.#handler(1));
+  static Float16 = new Proxy(CBOR.Float16, new CBOR.#handler(1));
+  static Float32 = new Proxy(CBOR.Float32, new CBOR.#handler(1));
+  static Float64 = new Proxy(CBOR.Float64, new CBOR.#handler(1));
+  static String = new Proxy(CBOR.String, new CBOR.#handler(1));
+  static Bytes = new Proxy(CBOR.Bytes, new CBOR.#handler(1));
+  static Bool = new Proxy(CBOR.Bool, new CBOR.#handler(1));
+  static Null = new Proxy(CBOR.Null, new CBOR.#handler(0));
+  static Undefined = new Proxy(CBOR.Undefined, new CBOR.#handler(0));
+  static Simple = new Proxy(CBOR.Simple, new CBOR.#handler(1));
+  static Array = new Proxy(CBOR.Array, new CBOR.#handler(0));
+  static Map = new Proxy(CBOR.Map, new CBOR.#handler(0));
+  static Tag = new Proxy(CBOR.Tag, new CBOR.#handler(2));
+  static DateTime = new Proxy(CBOR.DateTime, new CBOR.#handler(1));
+  static EpochTime = new Proxy(CBOR.EpochTime, new CBOR.#handler(1));
+  static DecimalFraction = new Proxy(CBOR.DecimalFraction, new CBOR.#handler(1));
+  static BigFloat = new Proxy(CBOR.BigFloat, new CBOR.#handler(1));
+  static Rational = new Proxy(CBOR.Rational, new CBOR.#handler(1));
+  static TypedArray = new Proxy(CBOR.TypedArray, new CBOR.#handler(2));
+  static MultiDimArray = new Proxy(CBOR.MultiDimArray, new CBOR.#handler(2));
+  static Embedded = new Proxy(CBOR.Embedded, new CBOR.#handler(1));
+  static UUID = new Proxy(CBOR.UUID, new CBOR.#handler(1));
+  static URI = new Proxy(CBOR.URI, new CBOR.#handler(1));
+  static Regex = new Proxy(CBOR.Regex, new CBOR.#handler(1));
+  static MIME = new Proxy(CBOR.MIME, new CBOR.#handler(1));
+  static LangString = new Proxy(CBOR.LangString, new CBOR.#handler(1));
+  static Set = new Proxy(CBOR.Set, new CBOR.#handler(1));
+  static TypedMap = new Proxy(CBOR.TypedMap, new CBOR.#handler(1));
+  static Cotx = new Proxy(CBOR.Cotx, new CBOR.#handler(2));
+  static ExtendedTime = new Proxy(CBOR.ExtendedTime, new CBOR.#handler(1));
+  static Duration = new Proxy(CBOR.Duration, new CBOR.#handler(1));
+  static Period = new Proxy(CBOR.Period, new CBOR.#handler(1));
+  static EpochDate = new Proxy(CBOR.EpochDate, new CBOR.#handler(1));
+  static FullDate = new Proxy(CBOR.FullDate, new CBOR.#handler(1));
+  static IPAddress = new Proxy(CBOR.IPAddress, new CBOR.#handler(1));
+  static IPPrefix = new Proxy(CBOR.IPPrefix, new CBOR.#handler(2));
+  static Writer = new Proxy(CBOR.Writer, new CBOR.#handler(1));
+
+
+///////////////////////////
+//      CBOR.Error       //
+///////////////////////////
+
+  // Base of the errors thrown by the library for invalid data.  The
+  // machine-readable code identifies the kind of error.  Errors thrown
+  // while decoding also hold the offset and path of the failing object.
+  // Invalid arguments, including constructor arguments like an IP prefix
+  // with trailing zero bytes, and invalid method calls are still reported
+  // as TypeError or RangeError.
+  static Error = class extends Error {
+
+    constructor(code, message, options) {
+      super(message, options);
+      this.name = 'CBORError';
+      this.code = code;
+    }
+
+    // Lets CBOR.DiagnosticSyntaxError, which extends SyntaxError, pass
+    // as a CBOR.Error as well.
+    static [Symbol.hasInstance] = function(object) {
+      return Function.prototype[Symbol.hasInstance].call(this, object) ||
+          (this === CBOR.Error && object instanceof CBOR.DiagnosticSyntaxError);
+    }
+  }
+
+  // Malformed CBOR data.  Codes: UNEXPECTED_END, INVALID_INITIAL_BYTE,
+  // UNEXPECTED_BREAK, INVALID_CHUNK, INVALID_SIMPLE_VALUE, INVALID_UTF8,
+  // INVALID_SHARED_REFERENCE, CONSTRAINED_KEY, TRAILING_DATA, INVALID_PACKED,
+  // PACKED_REFERENCE, as well as INVALID_CONTENT for other errors like invalid
+  // tag content.
+  static DecodeError = class extends CBOR.Error {
+
+    constructor(code, message, options) {
+      super(code, message, options);
+      this.name = 'DecodeError';
+    }
+  }
+
+  // Invalid use of CBOR.Writer, or objects that cannot be encoded.  Codes:
+  // CIRCULAR_REFERENCE, NO_ENCODER, NO_OPEN_ITEM, MAP_KEY_WITHOUT_VALUE,
+  // UNFINISHED_ITEMS, INDEFINITE_LENGTH_NOT_PERMITTED, NOT_PACKABLE.
+  static EncodeError = class extends CBOR.Error {
+
+    constructor(code, message) {
+      super(code, message);
+      this.name = 'EncodeError';
+    }
+  }
+
+  // Well-formed CBOR that violates the deterministic encoding rules.
+  // The rules are listed at CBOR.lint().
+  static DeterminismError = class extends CBOR.Error {
+
+    constructor(rule, message) {
+      super('NON_DETERMINISTIC', message);
+      this.name = 'DeterminismError';
+      this.rule = rule;
+    }
+  }
+
+  // Thrown by maps as well as CBOR.Set and CBOR.Writer.
+  static DuplicateKeyError = class extends CBOR.Error {
+
+    constructor(key) {
+      super('DUPLICATE_KEY', "Duplicate: " + key);
+      this.name = 'DuplicateKeyError';
+      this.key = key;
+    }
+  }
+
+  static MissingKeyError = class extends CBOR.Error {
+
+    constructor(key, message) {
+      super('MISSING_KEY', message ? message : "Missing key: " + key);
+      this.name = 'MissingKeyError';
+      this.key = key;
+    }
+  }
+
+  // Thrown by CBOR.diagnosticNotation(), the message holds the offending line.
+  // Line and column (both starting at 1) refer to the last character read.
+  // Extends SyntaxError like the errors thrown before, while instanceof
+  // CBOR.Error also holds.
+  static DiagnosticSyntaxError = class extends SyntaxError {
+
+    constructor(message, line, column, reason) {
+      super(message);
+      this.name = 'DiagnosticSyntaxError';
+      this.code = 'DIAGNOSTIC_SYNTAX';
+      this.line = line;
+      this.column = column;
+      this.reason = reason;
+    }
+  }
+
+  // Thrown by the decoder when the input exceeds one of the limits
+  // given in the decoder options, see CBOR.initExtended().
+  static LimitError = class extends CBOR.DecodeError {
+
+    constructor(limit, maximum, value) {
+      super('LIMIT_EXCEEDED', "Exceeded " + limit + " (" + maximum + "): " + value);
+      this.name = 'LimitError';
+      this.limit = limit;
+      this.maximum = maximum;
+      this.value = value;
+    }
+  }
+
+  // Thrown when a tag is rejected by the tag policy options, see
+  // CBOR.initExtended().  enclosingTag is the tag whose nesting rule
+  // was violated, or null.
+  static TagPolicyError = class extends CBOR.DecodeError {
+
+    constructor(tagNumber, enclosingTag) {
+      super('TAG_NOT_ALLOWED', enclosingTag == null ? "Tag not allowed: " + tagNumber :
+          "Tag " + tagNumber + " not allowed inside tag " + enclosingTag);
+      this.name = 'TagPolicyError';
+      this.tagNumber = tagNumber;
+      this.enclosingTag = enclosingTag;
+    }
+  }
+
+///////////////////////////
+//      Tag Policy       //
+///////////////////////////
+
+  // Enforces the allowedTags, deniedTags and nestedTags options for the
+  // decoder and CBOR.diagnosticNotation().
+  static #TagPolicy = class {
+
+    constructor(options) {
+      this.allowedTags = this.getTagSet(options.allowedTags, 'allowedTags');
+      this.deniedTags = this.getTagSet(options.deniedTags, 'deniedTags');
+      this.nestedTags = new Map();
+      let nestedTags = options.nestedTags;
+      if (nestedTags !== undefined) {
+        if (typeof nestedTags != 'object' || nestedTags === null || Array.isArray(nestedTags)) {
+          throw TypeError("nestedTags must be an object or a Map");
+        }
+        for (let [tagNumber, tags] of nestedTags instanceof Map ?
+                                      nestedTags : Object.entries(nestedTags)) {
+          this.nestedTags.set(CBOR.#tagNumberCheck(BigInt(tagNumber)),
+                              this.getTagSet(tags, 'nestedTags'));
+        }
+      }
+      // Tags whose content is currently being decoded.
+      this.enclosingTags = [];
+    }
+
+    getTagSet = function(tags, name) {
+      if (tags === undefined) {
+        return null;
+      }
+      if (!Array.isArray(tags)) {
+        throw TypeError(name + " must hold an array of tag numbers");
+      }
+      return new Set(tags.map(tagNumber => CBOR.#tagNumberCheck(tagNumber)));
+    }
+
+    // Throws CBOR.TagPolicyError if tagNumber is not accepted here.
+    check = function(tagNumber) {
+      if ((this.allowedTags && !this.allowedTags.has(tagNumber)) ||
+          (this.deniedTags && this.deniedTags.has(tagNumber))) {
+        throw new CBOR.TagPolicyError(tagNumber, null);
+      }
+      // Nesting rules apply to the entire content of a tag.
+      for (let enclosingTag of this.enclosingTags) {
+        let nestedTags = this.nestedTags.get(enclosingTag);
+        if (nestedTags && !nestedTags.has(tagNumber)) {
+          throw new CBOR.TagPolicyError(tagNumber, enclosingTag);
+        }
+      }
+    }
+
+    getContent = function(tagNumber, getObject) {
+      this.enclosingTags.push(tagNumber);
+      try {
+        return getObject();
+      } finally {
+        this.enclosingTags.pop();
+      }
+    }
+
+    // Shared values (tag 29) were checked where they were defined, so only
+    // the nesting rules of the tags enclosing the reference remain.  Since
+    // the rest of an open (still decoded) value cannot be checked, such
+    // references are rejected inside tags having nesting rules.
+    checkShared = function(value, open) {
+      let restrictingTag = this.enclosingTags.find(tagNumber => this.nestedTags.has(tagNumber));
+      if (restrictingTag === undefined) {
+        return;
+      }
+      if (open) {
+        throw new CBOR.TagPolicyError(CBOR.Tag.RESERVED_TAG_SHARED_REF, restrictingTag);
+      }
+      let visited = new Set();
+      let checkTags = (object) => {
+        if (visited.has(object)) {
+          return;
+        }
+        visited.add(object);
+        if (object instanceof CBOR.Tag) {
+          this.check(object.getTagNumber());
+          checkTags(object.getTagObject());
+        } else if (object instanceof CBOR.Array) {
+          object.toArray().forEach(checkTags);
+        } else if (object instanceof CBOR.Map) {
+          object.getKeys().forEach(key => {
+            checkTags(key);
+            checkTags(object.get(key));
+          });
+        }
+      }
+      checkTags(value);
+    }
+  }
+
+///////////////////////////
+//     Decoder Core      //
+///////////////////////////
+
+  static #_decoder = class {
+
+    constructor(cbor,
+                sequenceFlag,
+                acceptNonDeterministic,
+                constrainedKeys,
+                options) {
+      this.cbor = CBOR.#bytesCheck(cbor);
+      this.counter = 0;
+      this.sequenceFlag = sequenceFlag;
+      this.deterministicMode = !acceptNonDeterministic;
+      this.constrainedKeys = constrainedKeys;
+      this.options = options ? options : {};
+      this.preserveEncoding = !!this.options.preserveEncoding;
+      this.stripSelfDescribe = !!this.options.stripSelfDescribe;
+      this.unpackCBOR = !!this.options.unpackCBOR;
+      this.valueSharing = !!this.options.valueSharing;
+      this.tagPolicy = new CBOR.#TagPolicy(this.options);
+      // Decoded shareable (tag 28) values in order of appearance.
+      this.shareables = [];
+      this.pendingShareable = null;
+      // Shareable containers still being decoded.
+      this.openShareables = new Set();
+      this.mapKeyLevel = 0;
+      this.maxNestingDepth = this.getLimit('maxNestingDepth', CBOR.#DEFAULT_MAX_NESTING_DEPTH);
+      this.maxStringLength = this.getLimit('maxStringLength', Infinity);
+      this.maxContainerSize = this.getLimit('maxContainerSize', Infinity);
+      this.maxBigIntLength = this.getLimit('maxBigIntLength', Infinity);
+      this.nestingDepth = 0;
+      // Path segments like [3] and {"payload"} of the object being decoded.
+      this.path = [];
+      // Set by CBOR.lint().
+      this.violations = null;
+      this.pendingViolations = null;
+      this.checkLimit('maxInputLength', this.getLimit('maxInputLength', Infinity),
+                      this.cbor.length);
+      this.selfDescribed = false;
+    }
+
+    getLimit = function(name, defaultValue) {
+      return CBOR.#getLimit(this.options, name, defaultValue);
+    }
+
+    checkLimit = function(name, maximum, value) {
+      if (value > maximum) {
+        throw new CBOR.LimitError(name, maximum, value);
+      }
+      return value;
+    }
+
+    // Returns true if the most recently decoded top-level object was
+    // preceded by a (stripped) self-describe tag.
+    isSelfDescribed = function() {
+      return this.selfDescribed;
+    }
+
+    skipSelfDescribe = function() {
+      this.selfDescribed = this.stripSelfDescribe &&
+          CBOR.compareArrays(this.cbor.subarray(this.counter, this.counter + 3),
+                             CBOR.#SELF_DESCRIBE_PREFIX) == 0;
+      if (this.selfDescribed) {
+        this.counter += 3;
+        // A lone prefix is not the end of a sequence.
+        this.atFirstByte = false;
+      }
+    }
+
+    readByte = function() {
+      if (this.counter >= this.cbor.length) {
+        if (this.sequenceFlag && this.atFirstByte) {
+          return CBOR.#MT_NULL;
+        }
+        throw new CBOR.DecodeError('UNEXPECTED_END', "Reading past end of buffer");
+      }
+      this.atFirstByte = false;
+      return this.cbor[this.counter++];
+    }
+        
+    // The length is verified before allocating memory.
+    readBytes = function (length) {
+      if (length > this.cbor.length - this.counter) {
+        throw new CBOR.DecodeError('UNEXPECTED_END', "Reading past end of buffer");
+      }
+      this.counter += length;
+      return this.cbor.slice(this.counter - length, this.counter);
+    }
+
+    decodeUtf8 = function(utf8) {
+      try {
+        return new TextDecoder('utf-8', {fatal: true}).decode(utf8);
+      } catch (error) {
+        // The TextDecoder message differs between platforms.
+        throw new CBOR.DecodeError('INVALID_UTF8', "Invalid UTF-8 string");
+      }
+    }
+
+    unsupportedTag = function(tag) {
+      throw new CBOR.DecodeError('INVALID_INITIAL_BYTE', "Unsupported tag: " + CBOR.#twoHex(tag));
+    }
+
+    rangeLimitedBigInt = function(value) {
+      if (value > 0xffffffffn) {
+        throw RangeError("Length limited to 0xffffffff");
+      }
+      return Number(value);
+    }
+
+    getStringLength = function(value) {
+      return this.checkLimit('maxStringLength', this.maxStringLength,
+                             this.rangeLimitedBigInt(value));
+    }
+
+    getContainerSize = function(value) {
+      return this.checkLimit('maxContainerSize', this.maxContainerSize,
+                             this.rangeLimitedBigInt(value));
+    }
+
+    compareAndReturn = function(decoded, f64) {
+      let cborFloat = CBOR.Float(f64);
+      if (cborFloat._compare(decoded)) {
+        this.nonDeterministic('float-width', "Non-deterministic encoding of: " + f64);
+        if (this.preserveEncoding) {
+          cborFloat._setWidth(decoded.length * 8);
+        }
+      }
+      return cborFloat;
+    }
+
+    recreateF64AndReturn = function(numberOfBytes,
+                                    specialNumbers,
+                                    significandMsbP1,
+                                    divisor) {
+      let decoded = this.readBytes(numberOfBytes);
+      let sign = false;
+      if (decoded[0] & 0x80) {
+        decoded[0] &= 0x7f;
+        sign = true;
+      }
+      let float = 0n;
+      for (let i = 0; i < decoded.length; i++) {
+        float *= 256n;
+        float += BigInt(decoded[i]);
+      }
+      let f64 = 0.0;
+      while (true) {
+        // The two cases of zero.
+        if (!float) break;
+        // The three cases of numbers that have no/little use.
+        if ((float & specialNumbers) == specialNumbers) {
+          if (float != specialNumbers) {
+            return this.recreateNaNAndReturn(sign, 
+                                             float - specialNumbers, 
+                                             numberOfBytes * 8);
+          }
+          f64 = Number.POSITIVE_INFINITY;
+          break;
+        }
+        // A genuine number
+        let exponent = float & specialNumbers;
+        let f64bin = float - exponent;
+        exponent /= significandMsbP1;
+        if (exponent) {
+          // Normal representation, add implicit "1.".
+          f64bin += significandMsbP1;
+          exponent--;
+        }
+        f64bin <<= exponent;
+        let array = [];
+        while (f64bin) {
+          array.push(Number(f64bin & 255n));
+          f64bin >>= 8n;
+        }
+        array = array.reverse();
+        for (let q = 0; q < array.length; q++) {
+          f64 *= 256;
+          f64 += array[q];
+        }
+        f64 /= divisor;
+        break;
+      }
+      if (sign) {
+        f64 = -f64;
+        decoded[0] |= 0x80;
+      }
+      return this.compareAndReturn(decoded, f64);
+    }
+
+    atBreak = function() {
+      if (this.readByte() == CBOR.#MT_BREAK) {
+        return true;
+      }
+      this.counter--;
+      return false;
+    }
+
+    // Indefinite length items are only accepted in non-deterministic mode
+    // and are returned as their definite length counterparts.
+    getIndefiniteLengthObject = function(tag) {
+      let majorType = tag & 0xe0;
+      switch (majorType) {
+        case CBOR.#MT_BYTES:
+        case CBOR.#MT_STRING:
+        case CBOR.#MT_ARRAY:
+        case CBOR.#MT_MAP:
+          break;
+
+        default:
+          if (tag == CBOR.#MT_BREAK) {
+            throw new CBOR.DecodeError('UNEXPECTED_BREAK', "Unexpected break");
+          }
+          this.unsupportedTag(tag);
+      }
+      this.nonDeterministic('indefinite-length',
+          "Non-deterministic indefinite length encoding for tag: 0x" + CBOR.#twoHex(tag));
+      switch (majorType) {
+        case CBOR.#MT_BYTES:
+        case CBOR.#MT_STRING:
+          let bytes = new Uint8Array();
+          let string = '';
+          let length = 0;
+          while (!this.atBreak()) {
+            // Chunks must be definite length strings of the same major type.
+            let chunkTag = this.readByte();
+            if ((chunkTag & 0xe0) != majorType || (chunkTag & 0x1f) == 31) {
+              throw new CBOR.DecodeError('INVALID_CHUNK',
+                  "Invalid chunk in indefinite length string: 0x" + CBOR.#twoHex(chunkTag));
+            }
+            this.counter--;
+            let chunk = this.getObject();
+            length += majorType == CBOR.#MT_BYTES ?
+                chunk.getBytes().length : new TextEncoder().encode(chunk.getString()).length;
+            this.checkLimit('maxStringLength', this.maxStringLength, length);
+            if (majorType == CBOR.#MT_BYTES) {
+              bytes = CBOR.addArrays(bytes, chunk.getBytes());
+            } else {
+              string += chunk.getString();
+            }
+          }
+          return majorType == CBOR.#MT_BYTES ? CBOR.Bytes(bytes) : CBOR.String(string);
+
+        case CBOR.#MT_ARRAY:
+          let cborArray = this.registerShareable(CBOR.Array());
+          while (!this.atBreak()) {
+            this.checkLimit('maxContainerSize', this.maxContainerSize, cborArray.size() + 1);
+            cborArray.add(this.getObjectAt('[' + cborArray.size() + ']'));
+          }
+          return this.preserveHeader(cborArray, new Uint8Array([tag]));
+
+        case CBOR.#MT_MAP:
+          let cborMap = this.registerShareable(CBOR.Map());
+          cborMap._constrainedKeys = this.constrainedKeys;
+          cborMap._preserveOrder = this.preserveEncoding;
+          let key = null;
+          while (!this.atBreak()) {
+            this.checkLimit('maxContainerSize', this.maxContainerSize, cborMap.size() + 1);
+            key = this.getMapEntry(cborMap, key);
+          }
+          cborMap._preserveOrder = false;
+          return this.preserveHeader(cborMap, new Uint8Array([tag]));
+      }
+    }
+
+    // Arrays and maps are registered before their elements are decoded
+    // since elements may refer to them.
+    registerShareable = function(container) {
+      if (this.shareableIndex != null) {
+        this.shareables[this.shareableIndex] = container;
+        this.openShareables.add(container);
+        this.shareableIndex = null;
+      }
+      return container;
+    }
+
+    getShareable = function() {
+      let index = this.shareables.length;
+      this.shareables.push(null);
+      this.pendingShareable = index;
+      let object = this.getObject();
+      this.shareables[index] = object;
+      this.openShareables.delete(object);
+      return object;
+    }
+
+    getSharedValue = function() {
+      let reference = this.getObject();
+      if (!(reference instanceof CBOR.Int) || reference.getInt() < 0 ||
+          !this.shareables[reference.getInt()]) {
+        throw new CBOR.DecodeError('INVALID_SHARED_REFERENCE',
+                                   "Invalid shared value reference: " + reference);
+      }
+      let value = this.shareables[reference.getInt()];
+      // Map keys are encoded when added and must not change afterwards.
+      if (this.mapKeyLevel && this.openShareables.has(value)) {
+        throw new CBOR.DecodeError('INVALID_SHARED_REFERENCE',
+                                   "Map key refers to enclosing container: " + reference);
+      }
+      this.tagPolicy.checkShared(value, this.openShareables.has(value));
+      return value;
+    }
+
+    // Keys are identified by their index while being decoded.  Returns the
+    // key, which is the previousKey of the next entry.
+    getMapEntry = function(cborMap, previousKey) {
+      let start = this.counter;
+      this.mapKeyLevel++;
+      let key;
+      try {
+        key = this.getObjectAt('{#' + cborMap.size() + '}');
+      } finally {
+        this.mapKeyLevel--;
+      }
+      // Maps sort their keys unless decoded deterministically.
+      if (this.violations && previousKey &&
+          CBOR.compareArrays(CBOR.#encodeDeterministically(previousKey),
+                             CBOR.#encodeDeterministically(key)) > 0) {
+        this.nonDeterministic('map-order', "Non-deterministic order: " + key);
+      }
+      this.path.push('{' + key.toString().replace(/\n\s*/g, ' ') + '}');
+      try {
+        let value = this.getObject();
+        try {
+          cborMap.set(key, value);
+        } catch (error) {
+          if (this.violations && error instanceof CBOR.DuplicateKeyError) {
+            // Keep the first entry.
+            this.addViolation('duplicate-key', error.message, start, null);
+          } else {
+            // Like duplicate keys, which are reported at the key.
+            throw this.locateError(error, start);
+          }
+        }
+      } finally {
+        this.path.pop();
+      }
+      return key;
+    }
+
+    getObjectAt = function(pathSegment) {
+      this.path.push(pathSegment);
+      try {
+        return this.getObject();
+      } finally {
+        this.path.pop();
+      }
+    }
+
+    // Adds the offset and path of the innermost failing object, as well as
+    // a hex excerpt pointing at the offset, to decoding errors.  Errors that
+    // are not CBOR.Error, like invalid tag content, become CBOR.DecodeError.
+    locateError = function(error, offset) {
+      if (error instanceof Error && !CBOR.#locatedErrors.has(error)) {
+        if (!(error instanceof CBOR.Error)) {
+          error = new CBOR.DecodeError('INVALID_CONTENT', error.message, {cause: error});
+        }
+        CBOR.#locatedErrors.add(error);
+        error.offset = offset;
+        error.path = '$' + this.path.join('');
+        error.message += '\nat offset ' + offset + ', path ' + error.path + '\n' +
+                         CBOR.#hexExcerpt(this.cbor, offset);
+      }
+      return error;
+    }
+
+    // Containers keep their original header, while other objects keep
+    // their complete encoding (see getObject()).
+    preserveHeader = function(object, header) {
+      if (this.preserveEncoding) {
+        object._header = header;
+      }
+      return object;
+    }
+
+    // NaN significands are preserved, but like for other floating point
+    // values, the shortest width that does not lose information is expected.
+    recreateNaNAndReturn = function(negative, significand, width) {
+      let originalSignificand = significand;
+      let shortestWidth = width;
+      while (shortestWidth > 16) {
+        let shift = BigInt(CBOR.#NAN_SIGNIFICAND_BITS[shortestWidth] - 
+                           CBOR.#NAN_SIGNIFICAND_BITS[shortestWidth / 2]);
+        if (significand & ((1n << shift) - 1n)) {
+          break;
+        }
+        significand >>= shift;
+        shortestWidth /= 2;
+      }
+      if (shortestWidth != width) {
+        this.nonDeterministic('float-width', "Non-deterministic encoding of: NaN");
+        if (this.preserveEncoding) {
+          shortestWidth = width;
+          significand = originalSignificand;
+        }
+      }
+      return CBOR.Float.createNaN(negative ? -Number(significand) : Number(significand),
+                                  shortestWidth);
+    }
+
+    getObject = function() {
+      let start = this.counter;
+      try {
+        this.checkLimit('maxNestingDepth', this.maxNestingDepth, ++this.nestingDepth);
+        return this.violations ? this.getLintedObject(start) : this.getNestedObject();
+      } catch (error) {
+        throw this.locateError(error, start);
+      } finally {
+        this.nestingDepth--;
+      }
+    }
+
+    // Violations found while decoding an object, but not in its children,
+    // refer to the object.
+    getLintedObject = function(start) {
+      let outerViolations = this.pendingViolations;
+      this.pendingViolations = [];
+      try {
+        let object = this.getNestedObject();
+        for (let violation of this.pendingViolations) {
+          this.addViolation(violation.rule, violation.message, start, object);
+        }
+        return object;
+      } finally {
+        this.pendingViolations = outerViolations;
+      }
+    }
+
+    addViolation = function(rule, message, offset, optionalObject) {
+      this.violations.push({
+        offset: offset,
+        path: '$' + this.path.join(''),
+        rule: rule,
+        message: message,
+        found: CBOR.toHex(this.cbor.slice(offset, this.counter)),
+        expected: optionalObject ?
+            CBOR.toHex(CBOR.#encodeDeterministically(optionalObject, this.valueSharing)) : null
+      });
+    }
+
+    // Throws in deterministic mode, while CBOR.lint() records the violation.
+    nonDeterministic = function(rule, message) {
+      if (this.deterministicMode) {
+        throw new CBOR.DeterminismError(rule, message);
+      }
+      if (this.violations) {
+        this.pendingViolations.push({rule: rule, message: message});
+      }
+    }
+
+    getNestedObject = function() {
+      let start = this.counter;
+      let object = this.getRawObject();
+      if (this.preserveEncoding && !(object instanceof CBOR.Array ||
+                                     object instanceof CBOR.Map ||
+                                     object instanceof CBOR.Tag)) {
+        object._encoding = this.cbor.slice(start, this.counter);
+      }
+      return object;
+    }
+
+    getRawObject = function() {
+      // Only the immediate content of a shareable tag is registered.
+      this.shareableIndex = this.pendingShareable;
+      this.pendingShareable = null;
+      let tag = this.readByte();
+
+      // Begin with CBOR types that are uniquely defined by the tag byte.
+      switch (tag) {
+        case CBOR.#MT_BIG_NEGATIVE:
+        case CBOR.#MT_BIG_UNSIGNED:
+          let byteArray = this.getObject().getBytes();
+          this.checkLimit('maxBigIntLength', this.maxBigIntLength, byteArray.length);
+          if (byteArray.length == 0 || byteArray[0] == 0 || byteArray.length <= 8) {
+            this.nonDeterministic('bignum', "Non-deterministic big integer encoding");
+          }
+          let value = 0n;
+          byteArray.forEach(byte => {
+            value <<= 8n;
+            value += BigInt(byte);
+          });
+          if (tag == CBOR.#MT_BIG_NEGATIVE) {
+            value = ~value;
+          }
+          return CBOR.BigInt(value);
+
+        case CBOR.#MT_FLOAT16:
+          return this.recreateF64AndReturn(2, 0x7c00n, 0x400n, 0x1000000);
+
+        case CBOR.#MT_FLOAT32:
+          return this.recreateF64AndReturn(4, 0x7f800000n, 0x800000n, 
+                                           0x20000000000000000000000000000000000000);
+
+        case CBOR.#MT_FLOAT64:
+           let f64bytes = this.readBytes(8);
+           const f64buffer = new ArrayBuffer(8);
+           new Uint8Array(f64buffer).set(f64bytes);
+           let f64 = new DataView(f64buffer).getFloat64(0, false);
+           if (Number.isNaN(f64)) {
+             return this.recreateNaNAndReturn(f64bytes[0] & 0x80, 
+                 new DataView(f64buffer).getBigUint64(0, false) & 0xfffffffffffffn, 64);
+           }
+           return this.compareAndReturn(f64bytes, f64);
+
+        case CBOR.#MT_NULL:
+          return CBOR.Null();
+
+        case CBOR.#MT_UNDEFINED:
+          return CBOR.Undefined();
+ 
+        case CBOR.#MT_TRUE:
+        case CBOR.#MT_FALSE:
+          return CBOR.Bool(tag == CBOR.#MT_TRUE);
+
+        case CBOR.#MT_SIMPLE_EXT:
+          let simple = this.readByte();
+          // Values below 32 must use the single byte form (or are reserved).
+          if (simple < 32) {
+            throw new CBOR.DecodeError('INVALID_SIMPLE_VALUE',
+                                       "Invalid simple value encoding: " + simple);
+          }
+          return CBOR.Simple(simple);
+      }
+      // Then decode CBOR types that blend length of data in the tag byte.
+      let n = tag & 0x1f;
+      let bigN = BigInt(n);
+      if (n == 31) {
+        return this.getIndefiniteLengthObject(tag);
+      }
+      if (n > 27) {
+        this.unsupportedTag(tag);
+      }
+      if (n > 23) {
+        // For 1, 2, 4, and 8 byte N.
+        let q = 1 << (n - 24);
+        let mask = 0xffffffffn << BigInt((q >> 1) * 8);
+        bigN = 0n;
+        while (--q >= 0) {
+          bigN <<= 8n;
+          bigN += BigInt(this.readByte());
+        }
+        // If the upper half (for 2, 4, 8 byte N) of N or a single byte
+        // N is zero, a shorter variant should have been used.
+        // In addition, N must be > 23. 
+        if (bigN < 24n || !(mask & bigN)) {
+          this.nonDeterministic('preferred-serialization',
+                                "Non-deterministic N encoding for tag: 0x" + CBOR.#twoHex(tag));
+        }
+      }
+      // N successfully decoded, now switch on major type (upper three bits).
+      let header = this.cbor.slice(this.counter - (n > 23 ? 1 + (1 << (n - 24)) : 1), 
+                                   this.counter);
+      switch (tag & 0xe0) {
+
+        case CBOR.#MT_TAG:
+          this.tagPolicy.check(bigN);
+          if (this.valueSharing) {
+            if (bigN == CBOR.Tag.RESERVED_TAG_SHAREABLE) {
+              return this.getShareable();
+            }
+            if (bigN == CBOR.Tag.RESERVED_TAG_SHARED_REF) {
+              return this.getSharedValue();
+            }
+          }
+          let tagData = this.tagPolicy.getContent(bigN,
+              () => this.getObjectAt('(' + bigN + ')'));
+          // Tag content may hold Packed CBOR references which CBOR.unpack() resolves
+          // before creating tags.
+          return this.preserveHeader(this.unpackCBOR ?
+              CBOR.Tag(bigN, tagData) : CBOR.#createTag(bigN, tagData, this), header);
+
+        case CBOR.#MT_UNSIGNED:
+          if (bigN > BigInt(Number.MAX_SAFE_INTEGER)) {
+            return CBOR.BigInt(bigN);
+          }
+          return CBOR.Int(Number(bigN));
+    
+        case CBOR.#MT_NEGATIVE:
+          bigN = ~bigN;
+          if (bigN < BigInt(-Number.MAX_SAFE_INTEGER)) {
+            return CBOR.BigInt(bigN);
+          }
+          return CBOR.Int(Number(bigN));
+    
+        case CBOR.#MT_BYTES:
+          return CBOR.Bytes(this.readBytes(this.getStringLength(bigN)));
+    
+        case CBOR.#MT_STRING:
+          return CBOR.String(this.decodeUtf8(this.readBytes(this.getStringLength(bigN))));
+    
+        case CBOR.#MT_ARRAY:
+          let cborArray = this.registerShareable(CBOR.Array());
+          for (let q = this.getContainerSize(bigN); --q >= 0;) {
+            cborArray.add(this.getObjectAt('[' + cborArray.size() + ']'));
+          }
+          return this.preserveHeader(cborArray, header);
+    
+        case CBOR.#MT_SIMPLE:
+          // Simple values 0-19.  20-23 and 24-27 were dealt with above.
+          return CBOR.Simple(n);
+
+        case CBOR.#MT_MAP:
+          let cborMap = this.registerShareable(CBOR.Map());
+          cborMap._deterministicMode = this.deterministicMode;
+          cborMap._constrainedKeys = this.constrainedKeys;
+          cborMap._preserveOrder = this.preserveEncoding;
+          let key = null;
+          for (let q = this.getContainerSize(bigN); --q >= 0;) {
+            key = this.getMapEntry(cborMap, key);
+          }
+          // Programmatically added elements sort automatically. 
+          cborMap._deterministicMode = false;
+          cborMap._preserveOrder = false;
+          return this.preserveHeader(cborMap, header);
+    
+        default:
+          this.unsupportedTag(tag);
+      }
+    }
+  }
+
+  static #getObject = function(decoder) {
+    decoder.atFirstByte = true;
+    decoder.skipSelfDescribe();
+    let offset = decoder.counter;
+    let object = decoder.getObject();
+    if (decoder.sequenceFlag) {
+      if (decoder.atFirstByte) {
+        return null;
+      }
+    } else if (decoder.counter < decoder.cbor.length) {
+      throw decoder.locateError(new CBOR.DecodeError('TRAILING_DATA',
+          "Unexpected data encountered after CBOR object"), decoder.counter);
+    }
+    if (decoder.unpackCBOR) {
+      // Located at the packed object since references may point anywhere.
+      try {
+        return new CBOR.#Unpacker(decoder.options).unpack(object);
+      } catch (error) {
+        throw decoder.locateError(error, offset);
+      }
+    }
+    return object;
+  }
+
+///////////////////////////
+//     CBOR.decode()     //
+///////////////////////////
+
+  static decode = function(cbor) {
+    let decoder = new CBOR.#_decoder(cbor, false, false, false);
+    return CBOR.#getObject(decoder);
+  }
+
+///////////////////////////
+//  CBOR.initExtended()  //
+///////////////////////////
+
+  // The optional options object currently recognizes:
+  //   preserveEncoding:  decoded objects keep their original encoding so that
+  //                      encode() returns the input unchanged until modified.
+  //   stripSelfDescribe: a self-describe tag (0xd9d9f7) preceding a top-level
+  //                      object is removed, see decoder.isSelfDescribed().
+  //   unpackCBOR:        Packed CBOR (tag 113) is expanded, see CBOR.unpack().
+  //   valueSharing:      shareable (28) and sharedref (29) tags are resolved into
+  //                      shared objects, see encodeShared().
+  // Limits for untrusted input, exceeding them throws CBOR.LimitError:
+  //   maxNestingDepth:   nesting of arrays, maps and tags (default 500).
+  //   maxInputLength:    total input size in bytes.
+  //   maxStringLength:   size of text and byte strings in bytes.
+  //   maxContainerSize:  number of array elements and map entries.
+  //   maxBigIntLength:   size of big integers (tags 2 and 3) in bytes.
+  //   maxUnpackedSize:   items plus string lengths produced by unpackCBOR
+  //                      (default 1000000).  The other limits apply to the
+  //                      expanded result as well.
+  // Tag policy, violations throw CBOR.TagPolicyError:
+  //   allowedTags:       array of the only tag numbers accepted.
+  //   deniedTags:        array of tag numbers that are rejected.
+  //   nestedTags:        object or Map from a tag number to an array of the only
+  //                      tag numbers accepted anywhere in that tag's content,
+  //                      including content resolved by unpackCBOR and
+  //                      valueSharing.
+  static initExtended = function(cbor, 
+                                 sequenceFlag,
+                                 acceptNonDeterministic,
+                                 constrainedKeys,
+                                 optionalOptions) {
+    return new CBOR.#_decoder(cbor, 
+                              sequenceFlag,
+                              acceptNonDeterministic, 
+                              constrainedKeys,
+                              optionalOptions);
+  }
+
+///////////////////////////
+// CBOR.decodeExtended() //
+///////////////////////////
+
+  static decodeExtended = function(decoder) {
+    return CBOR.#getObject(decoder);
+  }
+
+///////////////////////////
+//      CBOR.lint()      //
+///////////////////////////
+
+  // Decodes cbor like CBOR.decodeExtended() with acceptNonDeterministic, and
+  // returns every violation of the deterministic encoding rules, ordered by
+  // offset, as objects holding:
+  //   offset, path: location of the offending object.
+  //   rule:         preferred-serialization (integers, lengths and tag numbers),
+  //                 float-width, bignum, indefinite-length, map-order,
+  //                 duplicate-key or set-order.
+  //   message:      the message a deterministic decoder would throw.
+  //   found:        the object as encoded in cbor (hex).
+  //   expected:     the deterministic encoding of the object (hex).
+  // For duplicate-key the offending object is the map entry, and expected is
+  // null since the entry must be removed.  Only the first entry is decoded.
+  // Duplicate set elements are reported at the set instead, which is expected
+  // without them.  With the valueSharing option, expected is the result of
+  // encodeShared() since the object may be cyclic.
+  // Malformed data is thrown like for CBOR.decode().  The optional options
+  // are those of CBOR.initExtended().
+  static lint = function(cbor, optionalOptions) {
+    let decoder = new CBOR.#_decoder(cbor, false, true, false, optionalOptions);
+    decoder.violations = [];
+    CBOR.#getObject(decoder);
+    return decoder.violations.sort((a, b) => a.offset - b.offset);
+  }
+
+///////////////////////////
+//  CBOR.registerTag()   //
+///////////////////////////
+
+  // handler is an object with any of the following optional methods:
+  //   validate(content, tagNumber): throws, or returns false, if content
+  //                                 (a CBOR object) is not valid for the tag.
+  //   decode(content, tagNumber):   returns an application object, which is
+  //                                 available through getApplicationObject().
+  //   encode(value, tagNumber):     returns the content (a CBOR object) for
+  //                                 an application object, see fromApplication().
+  // Handlers are consulted by the decoder and by diagnosticNotation().
+  // A null handler removes the registration.
+  static registerTag = function(tagNumber, handler) {
+    tagNumber = CBOR.#tagNumberCheck(tagNumber);
+    if (handler === null) {
+      CBOR.#tagRegistry.delete(tagNumber);
+      return;
+    }
+    CBOR.#tagRegistry.set(tagNumber, CBOR.#tagHandlerCheck(handler));
+  }
+
+///////////////////////////
+// CBOR.fromApplication()//
+///////////////////////////
+
+  // Returns a tag holding the content returned by the registered encode()
+  // method.  The tag's application object is value.
+  static fromApplication = function(tagNumber, value) {
+    tagNumber = CBOR.#tagNumberCheck(tagNumber);
+    let handler = CBOR.#tagRegistry.get(tagNumber);
+    if (!handler || !handler.encode) {
+      throw new CBOR.EncodeError('NO_ENCODER', "No encoder registered for tag: " + tagNumber);
+    }
+    let cborTag = CBOR.#createTag(tagNumber,
+                                  CBOR.#cborArguentCheck(handler.encode(value, tagNumber)));
+    cborTag._applicationObject = value;
+    return cborTag;
+  }
+
+///////////////////////////
+//     CBOR.sniff()      //
+///////////////////////////
+
+  // Returns the format of cborData: "cbor", "sequence" (binary CBOR sequence),
+  // "hex", "base64url", "diagnostic", or null if not recognized.  Text formats
+  // are accepted both as strings and as UTF-8 encoded bytes.  Note that input
+  // which is valid in multiple formats (like "12") gets the first matching
+  // format in the list above.  The optional options are those of
+  // CBOR.initExtended(), used for decoding the candidates.  Since sniffing
+  // decodes the complete input, exceeded limits throw CBOR.LimitError.
+  static sniff = function(cborData, optionalOptions) {
+    let options = optionalOptions ? optionalOptions : {};
+    if (typeof cborData == 'string') {
+      return CBOR.#sniffText(cborData, options);
+    }
+    let binary = CBOR.#bytesCheck(cborData);
+    if (CBOR.#sniffBinary(binary, false, options)) {
+      return 'cbor';
+    }
+    // Text is often a valid CBOR sequence as well, so check text formats first.
+    let format = null;
+    try {
+      format = CBOR.#sniffText(new TextDecoder('utf-8', {fatal: true}).decode(binary), options);
+    } catch (error) {
+      // Not UTF-8, cannot be a text format.
+    }
+    if (format == null && CBOR.#sniffBinary(binary, true, options)) {
+      format = 'sequence';
+    }
+    return format;
+  }
+
+///////////////////////////
+//      CBOR.pack()      //
+///////////////////////////
+
+  // Returns a Packed CBOR (tag 113) version of cborObject where repeated
+  // items are replaced by shared item references (simple values 0-15 and
+  // tag 6), while text strings sharing a common prefix are replaced by
+  // straight references to an argument table.  The content of tags having
+  // a dedicated type is left as is.  cborObject must not contain items that
+  // could be mistaken for references.
+  static pack = function(cborObject) {
+    return new CBOR.#Packer(CBOR.#cborArguentCheck(cborObject)).pack();
+  }
+
+///////////////////////////
+//     CBOR.unpack()     //
+///////////////////////////
+
+  // Returns cborObject with all Packed CBOR table setups and references
+  // expanded.  Supported references: shared items (simple values 0-15 and
+  // tag 6 with an integer), straight references (tag 6 with other content,
+  // tags 224-255, 28704-32767, 1879052288-2147483647), and inverted
+  // references (tags 216-223).  The optional options object takes the
+  // maxNestingDepth, maxStringLength, maxContainerSize and maxUnpackedSize
+  // limits as well as the tag policy of CBOR.initExtended(), which apply
+  // to the expanded result.
+  static unpack = function(cborObject, optionalOptions) {
+    return new CBOR.#Unpacker(optionalOptions ? optionalOptions : {})
+        .unpack(CBOR.#cborArguentCheck(cborObject));
+  }
+
+//================================//
+//   Diagnostic Notation Support  //
+//================================//
+
+  static #DiagnosticNotation = class {
+
+    cborText;
+    index;
+    sequence;
+    tagPolicy;
+  
+    constructor(cborText, sequence, options) {
+      this.cborText = cborText;
+      this.sequence = sequence;
+      this.index = 0;
+      this.tagPolicy = new CBOR.#TagPolicy(options ? options : {});
+    }
+  
+    reportError = function(error) {
+      // Unsurprisingly, error handling turned out to be the most complex part...
+      let start = this.index - 100;
+      if (start < 0) {
+        start = 0;
+      }
+      let linePos = 0;
+      while (start < this.index - 1) {
+        if (this.cborText[start++] == '\n') {
+          linePos = start;
+        }
+      }
+      let complete = '';
+      if (this.index > 0 && this.cborText[this.index - 1] == '\n') {
+        this.index--;
+      }
+      let endLine = this.index;
+      while (endLine < this.cborText.length) {
+        if (this.cborText[endLine] == '\n') {
+          break;
+        }
+        endLine++;
+      }
+      for (let q = linePos; q < endLine; q++) {
+        complete += this.cborText[q];
+      }
+      complete += '\n';
+      for (let q = linePos; q < this.index; q++) {
+        complete += '-';
+      }
+      let lineNumber = 1;
+      for (let q = 0; q < this.index - 1; q++) {
+        if (this.cborText[q] == '\n') {
+          lineNumber++;
+        }
+      }
+      throw new CBOR.DiagnosticSyntaxError(
+          complete + "^\n\nError in line " + lineNumber + ". " + error,
+          lineNumber, this.index - linePos, error);
+    }
+  
+    readToEOF = function() {
+      let cborObject = this.getObject();
+      if (this.index < this.cborText.length) {
+        this.readChar();
+        this.reportError("Unexpected data after token");
+      }
+      return cborObject;
+    }
+
+    readSequenceToEOF = function() {
+      let sequence = [];
+      while (true) {
+        sequence.push(this.getObject());
+        if (this.index < this.cborText.length) {
+          this.scanFor(",");
+        } else {
+          return sequence;
+        }
+      }
+    }
+
+    getObject = function() {
+      this.scanNonSignficantData();
+      let cborObject = this.getRawObject();
+      this.scanNonSignficantData();
+      return cborObject;
+    }
+  
+    continueList = function(validStop) {
+      if (this.nextChar() == ',') {
+        this.readChar();
+        this.scanNonSignficantData();
+        return true;
+      }
+      this.scanFor(validStop);
+      this.index--;
+      return false;
+    }
+  
+    getRawObject = function() {
+      switch (this.readChar()) {
+    
+        case '<':
+          this.scanFor("<");
+          let embedded = new Uint8Array();
+          this.scanNonSignficantData();
+          while (this.readChar() != '>') {
+            this.index--;
+            do {
+              embedded = CBOR.addArrays(embedded, this.getObject().encode());
+            } while (this.continueList('>'));
+          }
+          this.scanFor(">");
+          return CBOR.Bytes(embedded);
+  
+        case '[':
+          let array = CBOR.Array();
+          this.scanNonSignficantData();
+          while (this.readChar() != ']') {
+            this.index--;
+            do {
+              array.add(this.getObject());
+            } while (this.continueList(']'));
+          }
+          return array;
+   
+        case '{':
+          let map = CBOR.Map();
+          this.scanNonSignficantData();
+          while (this.readChar() != '}') {
+            this.index--;
+            do {
+              let key = this.getObject();
+              this.scanFor(":");
+              map.set(key, this.getObject());
+            } while (this.continueList('}'));
+          }
+          return map;
+     
+        case '\'':
+          return this.getString(true);
+        
+        case '"':
+          return this.getString(false);
+
+        case 'h':
+          return this.getBytes(false);
+
+        case 'b':
+          if (this.nextChar() == '3') {
+            this.scanFor("32'");
+            this.reportError("b32 not implemented");
+          }
+          this.scanFor("64");
+          return this.getBytes(true);
+        
+        case 't':
+          this.scanFor("rue");
+          return CBOR.Bool(true);
+     
+        case 'f':
+          if (this.nextChar() == 'l') {
+            this.scanFor("loat");
+            return this.getFloatBits();
+          }
+          this.scanFor("alse");
+          return CBOR.Bool(false);
+     
+        case 'n':
+          this.scanFor("ull");
+          return CBOR.Null();
+
+        case 'u':
+          this.scanFor("ndefined");
+          return CBOR.Undefined();
+
+        case 's':
+          this.scanFor("imple(");
+          return this.getSimple();
+
+        case '-':
+          if (this.readChar() == 'I') {
+            this.scanFor("nfinity");
+            return this.getOptionalWidth(CBOR.Float(Number.NEGATIVE_INFINITY));
+          }
+          return this.getNumberOrTag(true);
+
+        case '0':
+        case '1':
+        case '2':
+        case '3':
+        case '4':
+        case '5':
+        case '6':
+        case '7':
+        case '8':
+        case '9':
+            return this.getNumberOrTag(false);
+
+        case 'N':
+          this.scanFor("aN");
+          return this.getOptionalWidth(CBOR.Float(Number.NaN));
+
+        case 'I':
+          this.scanFor("nfinity");
+          return this.getOptionalWidth(CBOR.Float(Number.POSITIVE_INFINITY));
+
+        case 'i':
+          this.scanFor("p'");
+          return this.getIPAddressOrPrefix();
+        
+        default:
+          this.index--;
+          this.reportError("Unexpected character: " + this.toChar(this.readChar()));
+      }
+    }
+
+    getNumberOrTag = function(negative) {
+      let token = '';
+      this.index--;
+      let prefix = null;
+      if (this.readChar() == '0') {
+        switch (this.nextChar()) {
+          case 'b':
+          case 'o':
+          case 'x':
+            prefix = '0' + this.readChar();
+            break;
+        }
+      }
+      if (prefix == null) {
+        this.index--;
+      }
+      let floatingPoint = false;
+      while (true)  {
+        token += this.readChar();
+        switch (this.nextChar()) {
+          case '\u0000':
+          case ' ':
+          case '\n':
+          case '\r':
+          case '\t':
+          case ',':
+          case ':':
+          case '>':
+          case ']':
+          case '}':
+          case '/':
+          case '#':
+          case '(':
+          case ')':
+            break;
+          
+          case '.':
+            floatingPoint = true;
+            continue;
+
+          default:
+            continue;
+        }
+        break;
+      }
+      if (!floatingPoint && this.nextChar() == '(') {
+        // getTag() does its own error reporting.
+        return this.getTag(token, prefix, negative);
+      }
+      try {
+        if (floatingPoint) {
+          this.testForNonDecimal(prefix);
+          // Optional encoding indicator, see getOptionalWidth().
+          let width = 0;
+          let indicator = token.match(/_([1-3])$/);
+          if (indicator) {
+            width = 8 << indicator[1];
+            token = token.substring(0, token.length - 2);
+          }
+          let value = Number(token);
+          // Implicit overflow is not permitted
+          if (!Number.isFinite(value)) {
+            throw RangeError("Floating point value out of range");
+          }
+          let cborFloat = CBOR.Float(negative ? -value : value);
+          return width ? cborFloat._setWidth(width) : cborFloat;
+        }
+        let bigInt = BigInt((prefix == null ? '' : prefix) + token);
+        // Clone: slight quirk to get the proper CBOR integer type  
+        return CBOR.BigInt(negative ? -bigInt : bigInt).clone();
+      } catch (error) {
+        this.reportError(error.toString());
+      }
+    }
+
+    // Encoding indicator: _1 = 16 bits, _2 = 32 bits, _3 = 64 bits.
+    getOptionalWidth = function(cborFloat) {
+      if (this.nextChar() == '_') {
+        this.readChar();
+        let indicator = this.readChar();
+        if (indicator < '1' || indicator > '3') {
+          this.reportError("Unexpected encoding indicator: " + this.toChar(indicator));
+        }
+        cborFloat._setWidth(8 << indicator);
+      }
+      return cborFloat;
+    }
+
+    // float'hex' where hex holds the 2, 4, or 8 bytes of an IEEE 754 value.
+    getFloatBits = function() {
+      let bits = this.getBytes(false).getBytes();
+      let tag = {2: CBOR.#MT_FLOAT16, 4: CBOR.#MT_FLOAT32, 8: CBOR.#MT_FLOAT64}[bits.length];
+      if (!tag) {
+        this.reportError("Floating point values must be 2, 4, or 8 bytes");
+      }
+      // Preserving the encoding keeps the width as well as NaN significands.
+      return CBOR.decodeExtended(CBOR.initExtended(CBOR.addArrays(new Uint8Array([tag]), bits),
+                                                   false, true, false,
+                                                   {preserveEncoding: true}));
+    }
+
+    getSimple = function() {
+      this.scanNonSignficantData();
+      let token = '';
+      while (this.nextChar() >= '0' && this.nextChar() <= '9') {
+        token += this.readChar();
+      }
+      this.scanNonSignficantData();
+      this.scanFor(")");
+      try {
+        if (!token.length) {
+          throw SyntaxError("Missing simple value");
+        }
+        return CBOR.Simple(Number(token));
+      } catch (error) {
+        this.reportError(error.toString());
+      }
+    }
+
+    getTag = function(token, prefix, negative) {
+      // Do not accept '-', 0xhhh, or leading zeros
+      this.testForNonDecimal(prefix);
+      if (negative || (token.length > 1 && token.charAt(0) == '0')) {
+        this.reportError("Tag syntax error");
+      }
+      this.readChar();
+      let tagNumber;
+      try {
+        tagNumber = BigInt(token);
+        this.tagPolicy.check(tagNumber);
+      } catch (error) {
+        this.reportError(error.toString());
+      }
+      let taggedObject = this.tagPolicy.getContent(tagNumber, () => this.getObject());
+      let cborTag;
+      try {
+        cborTag = CBOR.#createTag(tagNumber, taggedObject);
+      } catch (error) {
+        this.reportError(error.toString());
+      }
+      this.scanFor(")");
+      return cborTag;
+    }
+
+    testForNonDecimal = function(nonDecimal) {
+      if (nonDecimal) {
+        this.reportError("Hexadecimal not permitted here");
+      }
+    }
+
+    nextChar = function() {
+      if (this.index == this.cborText.length) return String.fromCharCode(0);
+      let c = this.readChar();
+      this.index--;
+      return c;
+    }
+
+    toChar = function(c) {
+      let charCode = c.charCodeAt(0); 
+      return charCode < 0x20 ? "\\u00" + CBOR.#twoHex(charCode) : "'" + c + "'";
+    }
+
+    scanFor = function(expected) {
+      [...expected].forEach(c => {
+        let actual = this.readChar(); 
+        if (c != actual) {
+          this.reportError("Expected: '" + c + "' actual: " + this.toChar(actual));
+        }
+      });
+    }
+
+    getString = function(byteString) {
+      let s = '';
+      while (true) {
+        let c;
+        switch (c = this.readChar()) {
+          // Multiline extension
+          case '\n':
+          case '\r':
+          case '\t':
+            break;
+
+          case '\\':
+            switch (c = this.readChar()) {
+              case '\n':
+                continue;
+
+              case '\'':
+              case '"':
+              case '\\':
+                break;
+  
+              case 'b':
+                c = '\b';
+                break;
+  
+              case 'f':
+                c = '\f';
+                break;
+  
+              case 'n':
+                c = '\n';
+                break;
+  
+              case 'r':
+                c = '\r';
+                break;
+  
+              case 't':
+                c = '\t';
+                break;
+  
+              case 'u':
+                let u16 = 0;
+                for (let i = 0; i < 4; i++) {
+                  u16 += (u16 << 4) + CBOR.#decodeOneHex(this.readChar().charCodeAt(0));
+                }
+                c = String.fromCharCode(u16);
+                break;
+  
+              default:
+                this.reportError("Invalid escape character " + this.toChar(c));
+            }
+            break;
+ 
+          case '"':
+            if (!byteString) {
+              return CBOR.String(s);
+            }
+            break;
+
+          case '\'':
+            if (byteString) {
+              return CBOR.Bytes(UTF8.encode(s));
+            }
+            break;
+          
+          default:
+            if (c.charCodeAt(0) < 0x20) {
+              this.reportError("Unexpected control character: " + this.toChar(c));
+            }
+        }
+        s += c;
+      }
+    }
+  
+    // ip'192.0.2.1' or ip'2001:db8::/32'.
+    getIPAddressOrPrefix = function() {
+      let token = '';
+      let c;
+      while ((c = this.readChar()) != '\'') {
+        token += c;
+      }
+      let cborTag;
+      try {
+        cborTag = token.includes('/') ? CBOR.IPPrefix.fromCIDR(token) : CBOR.IPAddress(token);
+        this.tagPolicy.check(cborTag.getTagNumber());
+      } catch (error) {
+        this.reportError(error.toString());
+      }
+      return CBOR.#createTag(cborTag.getTagNumber(), cborTag.getTagObject());
+    }
+
+    getBytes = function(b64) {
+      let token = '';
+      this.scanFor("'");
+      while(true) {
+        let c;
+        switch (c = this.readChar()) {
+          case '\'':
+            break;
+         
+          case ' ':
+          case '\r':
+          case '\n':
+          case '\t':
+            continue;
+
+          default:
+            token += c;
+            continue;
+        }
+        break;
+      }
+      return CBOR.Bytes(b64 ? CBOR.fromBase64Url(token) : CBOR.fromHex(token));
+    }
+
+    hexCharToChar = function(c) {
+
+      if (c >= '0' && c <= '9') {
+        return (char) (c - '0');
+      }
+      if (c >= 'a' && c <= 'f') {
+        return (char) (c - 'a' + 10);
+      }
+      if (c >= 'A' && c <= 'F') {
+        return (char) (c - 'A' + 10);
+      }
+      reportError(String.format("Bad hex character: %s", toChar(c)));
+      return 0; // For the compiler...
+    }
+
+    readChar = function() {
+      if (this.index >= this.cborText.length) {
+        this.reportError("Unexpected EOF");
+      }
+      return this.cborText[this.index++];
+    }
+
+    scanNonSignficantData = function() {
+      while (this.index < this.cborText.length) {
+        switch (this.nextChar()) {
+          case ' ':
+          case '\n':
+          case '\r':
+          case '\t':
+            this.readChar();
+            continue;
+
+          case '/':
+            this.readChar();
+            if (this.nextChar() != '/') {
+              while (this.readChar() != '/') {
+              }
+              continue;
+            }
+          // Yes, '//' is currently considered as equivalent to '#'
+          case '#':
+            this.readChar();
+            while (this.index < this.cborText.length && this.readChar() != '\n') {
+            }
+            continue;
+
+          default:
+            return;
+        }
+      }
+    }
+  }
+
+///////////////////////////////
+// CBOR.diagnosticNotation() //
+///////////////////////////////
+
+  // The optional options object recognizes the tag policy options of
+  // CBOR.initExtended().
+  static diagnosticNotation = function(cborText, optionalSequenceFlag, optionalOptions) {
+    if (optionalSequenceFlag) {
+      return new CBOR.#DiagnosticNotation(cborText, true, optionalOptions).readSequenceToEOF();
+    } else {
+      return new CBOR.#DiagnosticNotation(cborText, false, optionalOptions).readToEOF();
+    }
+  }
+
+//================================//
+//    Internal Support Methods    //
+//================================//
+
+  // Preserved encodings are ignored when the deterministic encoding is
+  // required, like for map keys.  shared selects the encodeShared() format,
+  // which also handles cyclic objects.
+  static #encodeDeterministically = function(object, shared) {
+    return shared ? new CBOR.#SharedEncoder(object, true).encode(object) : object._encode(true);
+  }
+
+  // Arrays and maps currently being encoded or printed.
+  static #activeContainers = new Set();
+
+  static #cycleCheck = function(container, operation) {
+    if (CBOR.#activeContainers.has(container)) {
+      throw new CBOR.EncodeError('CIRCULAR_REFERENCE', "Circular reference to CBOR." +
+                                 container.constructor.name + ", see encodeShared()");
+    }
+    CBOR.#activeContainers.add(container);
+    try {
+      return operation();
+    } finally {
+      CBOR.#activeContainers.delete(container);
+    }
+  }
+
+  static #SharedEncoder = class {
+
+    // Array or map => number of references.
+    #references = new Map();
+    // Array or map => shareable index.
+    #indices = new Map();
+    #deterministic;
+
+    constructor(root, deterministic) {
+      this.#deterministic = deterministic;
+      this.#count(root);
+    }
+
+    #count = function(object) {
+      if (object instanceof CBOR.Array || object instanceof CBOR.Map) {
+        let references = this.#references.get(object) || 0;
+        this.#references.set(object, references + 1);
+        if (references) {
+          // Already visited, possibly by a cycle.
+          return;
+        }
+      }
+      if (object instanceof CBOR.Array) {
+        object.toArray().forEach(element => this.#count(element));
+      } else if (object instanceof CBOR.Map) {
+        object.getKeys().forEach(key => this.#count(object.get(key)));
+      } else if (object instanceof CBOR.Tag) {
+        this.#count(object.getTagObject());
+      }
+    }
+
+    encode = function(object) {
+      let shared = this.#references.get(object) > 1;
+      if (shared && this.#indices.has(object)) {
+        return CBOR.addArrays(
+            CBOR.#finishBigIntAndTag(CBOR.#MT_TAG, CBOR.Tag.RESERVED_TAG_SHARED_REF),
+            CBOR.Int(this.#indices.get(object)).encode());
+      }
+      let encoded = new Uint8Array();
+      if (shared) {
+        this.#indices.set(object, this.#indices.size);
+        encoded = CBOR.#finishBigIntAndTag(CBOR.#MT_TAG, CBOR.Tag.RESERVED_TAG_SHAREABLE);
+      }
+      if (object instanceof CBOR.Array) {
+        encoded = CBOR.addArrays(encoded, CBOR.#encodeTagAndN(CBOR.#MT_ARRAY, object.size()));
+        object.toArray().forEach(element => {
+          encoded = CBOR.addArrays(encoded, this.encode(element));
+        });
+        return encoded;
+      }
+      if (object instanceof CBOR.Map) {
+        encoded = CBOR.addArrays(encoded, CBOR.#encodeTagAndN(CBOR.#MT_MAP, object.size()));
+        object.getKeys().forEach(key => {
+          encoded = CBOR.addArrays(encoded,
+                                   CBOR.addArrays(key._encode(this.#deterministic),
+                                                  this.encode(object.get(key))));
+        });
+        return encoded;
+      }
+      if (object instanceof CBOR.Tag) {
+        return CBOR.addArrays(CBOR.#finishBigIntAndTag(CBOR.#MT_TAG, object.getTagNumber()),
+                              this.encode(object.getTagObject()));
+      }
+      return object._encode(this.#deterministic);
+    }
+  }
+
+  static #isPreserved = function(object, deterministic) {
+    return object._encoding && !deterministic;
+  }
+
+  static #getPreservedHeader = function(object, deterministic) {
+    return object._header && !deterministic ? object._header : null;
+  }
+
+  static #finishContainer = function(header, encoded) {
+    if (header && (header[0] & 0x1f) == 31) {
+      // Indefinite length container.
+      return CBOR.addArrays(encoded, new Uint8Array([CBOR.#MT_BREAK]));
+    }
+    return encoded;
+  }
+
+  static #encodeTagAndN = function(majorType, n) {
+    let modifier = n;
+    let length = 0;
+    if (n > 23) {
+      modifier = 24;
+      length = 1;
+      let nextRange = 0x100;
+      while (length < 8 && n >= nextRange) {
+        modifier++;
+        length <<= 1;
+        // The last multiplication will not be an integer but "length < 8" handles this.
+        nextRange *= nextRange;
+      }
+    }
+    let encoded = new Uint8Array(length + 1);
+    encoded[0] = majorType | modifier;
+    while (length > 0) {
+      encoded[length--] = n;
+      n /= 256;
+    }
+    return encoded;
+  }
+
+  // Used by both the decoder and the diagnostic notation parser.
+  // optionalDecoder is supplied when called by the decoder.
+  static #createTag = function(tagNumber, object, optionalDecoder) {
+    let handler = CBOR.#tagRegistry.get(tagNumber);
+    if (handler && handler.validate && handler.validate(object, tagNumber) === false) {
+      throw new CBOR.DecodeError('INVALID_CONTENT', "Invalid content for tag: " + tagNumber);
+    }
+    let cborTag = CBOR.#createBuiltinTag(tagNumber, object, optionalDecoder);
+    if (handler && handler.decode) {
+      cborTag._applicationObject = handler.decode(object, tagNumber);
+    }
+    return cborTag;
+  }
+
+  // Tags with specific semantics are returned as their dedicated type.
+  static #createBuiltinTag = function(tagNumber, object, optionalDecoder) {
+    switch (tagNumber) {
+      case CBOR.Tag.RESERVED_TAG_DATE_TIME:
+        return CBOR.DateTime(object);
+
+      case CBOR.Tag.RESERVED_TAG_EPOCH_TIME:
+        return CBOR.EpochTime(object);
+
+      case CBOR.Tag.RESERVED_TAG_DECIMAL_FRACTION:
+        return CBOR.DecimalFraction(object);
+
+      case CBOR.Tag.RESERVED_TAG_BIGFLOAT:
+        return CBOR.BigFloat(object);
+
+      case CBOR.Tag.RESERVED_TAG_RATIONAL:
+        return CBOR.Rational(object);
+
+      case CBOR.Tag.RESERVED_TAG_ENCODED_CBOR:
+      case CBOR.Tag.RESERVED_TAG_ENCODED_SEQUENCE:
+        return CBOR.Embedded(new CBOR.#EncodedEmbedded(tagNumber, object, optionalDecoder));
+
+      case CBOR.Tag.RESERVED_TAG_URI:
+        return CBOR.URI(object);
+
+      case CBOR.Tag.RESERVED_TAG_REGEX:
+        return CBOR.Regex(object);
+
+      case CBOR.Tag.RESERVED_TAG_MIME:
+        return CBOR.MIME(object);
+
+      case CBOR.Tag.RESERVED_TAG_UUID:
+        return CBOR.UUID(object);
+
+      case CBOR.Tag.RESERVED_TAG_LANG_STRING:
+        return CBOR.LangString(object);
+
+      case CBOR.Tag.RESERVED_TAG_SET:
+        if (optionalDecoder && optionalDecoder.violations && object instanceof CBOR.Array) {
+          object = CBOR.#removeSetDuplicates(object, optionalDecoder);
+        }
+        if (optionalDecoder &&
+            (optionalDecoder.deterministicMode || optionalDecoder.violations) &&
+            object instanceof CBOR.Array && CBOR.#getSetOrderError(object)) {
+          optionalDecoder.nonDeterministic('set-order', CBOR.#getSetOrderError(object));
+        }
+        return CBOR.Set(object);
+
+      case CBOR.Tag.RESERVED_TAG_TYPED_MAP:
+        return CBOR.TypedMap(object);
+
+      case CBOR.Tag.RESERVED_TAG_MULTI_DIM_ARRAY:
+        if (!(object instanceof CBOR.Array) || object.size() != 2) {
+          throw TypeError("Tag " + tagNumber + " requires a [dimensions, elements] array");
+        }
+        return CBOR.#keepArrayHeader(object, CBOR.MultiDimArray(object.get(0), object.get(1)));
+
+      case CBOR.Tag.RESERVED_TAG_EPOCH_DATE:
+        return CBOR.EpochDate(object);
+
+      case CBOR.Tag.RESERVED_TAG_EXTENDED_TIME:
+        return CBOR.ExtendedTime(object);
+
+      case CBOR.Tag.RESERVED_TAG_DURATION:
+        return CBOR.Duration(object);
+
+      case CBOR.Tag.RESERVED_TAG_PERIOD:
+        return CBOR.Period(object);
+
+      case CBOR.Tag.RESERVED_TAG_FULL_DATE:
+        return CBOR.FullDate(object);
+
+      case CBOR.Tag.RESERVED_TAG_IPV4:
+      case CBOR.Tag.RESERVED_TAG_IPV6:
+        if (object instanceof CBOR.Bytes) {
+          if (object.getBytes().length != (tagNumber == CBOR.Tag.RESERVED_TAG_IPV4 ? 4 : 16)) {
+            throw TypeError("Tag " + tagNumber + " has an invalid address length");
+          }
+          return CBOR.IPAddress(object);
+        }
+        // The interface format ([address, prefix length]) is returned as a plain tag.
+        if (object instanceof CBOR.Array && object.size() && object.get(0) instanceof CBOR.Int) {
+          return CBOR.IPPrefix(tagNumber, object);
+        }
+        return CBOR.Tag(tagNumber, object);
+
+      case CBOR.Tag.RESERVED_TAG_COTX:
+        if (!(object instanceof CBOR.Array) || object.size() != 2) {
+          throw SyntaxError(CBOR.#COTX_SYNTAX_ERROR);
+        }
+        let cotx = CBOR.#keepArrayHeader(object, CBOR.Cotx(object.get(0), object.get(1)));
+        let handler = CBOR.#cotxRegistry.get(cotx.getObjectId());
+        if (handler && handler.validate &&
+            handler.validate(cotx.getObject(), cotx.getObjectId()) === false) {
+          throw new CBOR.DecodeError('INVALID_CONTENT',
+                                     "Invalid object for COTX: " + cotx.getObjectId());
+        }
+        if (handler && handler.decode) {
+          cotx._applicationObject = handler.decode(cotx.getObject(), cotx.getObjectId());
+        }
+        return cotx;
+
+      default:
+        if (tagNumber >= CBOR.Tag.RESERVED_TAG_TYPED_ARRAY_FIRST &&
+            tagNumber <= CBOR.Tag.RESERVED_TAG_TYPED_ARRAY_LAST) {
+          return CBOR.TypedArray(tagNumber, object);
+        }
+        return CBOR.Tag(tagNumber, object);
+    }
+  }
+
+  // Keeps a preserved header since the elements are the same.
+  static #copyArray = function(array) {
+    let copy = CBOR.Array();
+    array.toArray().forEach(element => copy.add(element));
+    copy._header = array._header;
+    return copy;
+  }
+
+  // Tags created from the elements of a decoded array keep a preserved array header.
+  static #keepArrayHeader = function(array, cborTag) {
+    cborTag.getTagObject()._header = array._header;
+    return cborTag;
+  }
+
+  // Indexed by tag number - 64 for big-endian arrays.
+  static #TYPED_ARRAY_TYPES = [
+    'Uint8Array', 'Uint16Array', 'Uint32Array', 'BigUint64Array',
+    'Uint8ClampedArray', null, null, null,
+    'Int8Array', 'Int16Array', 'Int32Array', 'BigInt64Array',
+    null, null, null, null,
+    'Float16Array', 'Float32Array', 'Float64Array', null];
+
+  // RFC 8746: tag = 0b010fsell where "ll" is the element size.
+  static #typedArrayFormat = function(tagNumber) {
+    let code = Number(tagNumber - CBOR.Tag.RESERVED_TAG_TYPED_ARRAY_FIRST);
+    if (code < 0 || code > 23 || code == 12) {
+      throw RangeError("Invalid typed array tag: " + tagNumber);
+    }
+    let float = (code & 16) != 0;
+    let littleEndian = (code & 4) != 0 && (float || (code & 3) != 0);
+    let type = CBOR.#TYPED_ARRAY_TYPES[littleEndian ? code & ~4 : code];
+    let elementSize = (float ? 2 : 1) << (code & 3);
+    let getter = null;
+    let setter = null;
+    if (type == 'Float16Array') {
+      if (!globalThis.Float16Array) {
+        type = 'Float32Array';
+      }
+      getter = (dataView, offset) =>
+          CBOR.#float16ToNumber(dataView.getUint16(offset, littleEndian));
+    } else if (type) {
+      let method = type.substring(0, type.length - 5).replace('Clamped', '');
+      getter = (dataView, offset) => dataView['get' + method](offset, littleEndian);
+      setter = (dataView, offset, value) => dataView['set' + method](offset, value, littleEndian);
+    }
+    return {type: type, littleEndian: littleEndian, elementSize: elementSize,
+            getter: getter, setter: setter};
+  }
+
+  static #typedArrayToBytes = function(typedArray, format) {
+    let bytes = new Uint8Array(typedArray.length * format.elementSize);
+    let dataView = new DataView(bytes.buffer);
+    for (let q = 0; q < typedArray.length; q++) {
+      if (format.setter) {
+        format.setter(dataView, q * format.elementSize, typedArray[q]);
+      } else {
+        dataView.setUint16(q * 2, CBOR.#numberToFloat16(typedArray[q]), format.littleEndian);
+      }
+    }
+    return bytes;
+  }
+
+  static #float16ToNumber = function(bits) {
+    let exponent = (bits >> 10) & 0x1f;
+    let significand = bits & 0x3ff;
+    let value = exponent == 31 ? (significand ? Number.NaN : Number.POSITIVE_INFINITY) :
+        exponent ? (significand + 0x400) * 2 ** (exponent - 25) : significand * 2 ** -24;
+    return bits & 0x8000 ? -value : value;
+  }
+
+  static #numberToFloat16 = function(value) {
+    let encoded = CBOR.Float(value)._setWidth(16).encode();
+    return (encoded[1] << 8) + encoded[2];
+  }
+
+  // Returns null if the elements are unique and sorted by their deterministic encoding.
+  // Used by CBOR.lint(), which reports duplicate set elements like
+  // duplicate map keys and keeps the first one.
+  static #removeSetDuplicates = function(array, decoder) {
+    let encodings = {};
+    let unique = CBOR.Array();
+    array.toArray().forEach(element => {
+      let encoded = CBOR.toHex(CBOR.#encodeDeterministically(element));
+      if (encodings[encoded]) {
+        decoder.nonDeterministic('duplicate-key', "Duplicate: " + element);
+      } else {
+        encodings[encoded] = true;
+        unique.add(element);
+      }
+    });
+    return unique.size() == array.size() ? array : unique;
+  }
+
+  static #getSetOrderError = function(array) {
+    for (let q = 1; q < array.size(); q++) {
+      let diff = CBOR.compareArrays(CBOR.#encodeDeterministically(array.get(q - 1)),
+                                    CBOR.#encodeDeterministically(array.get(q)));
+      if (diff >= 0) {
+        return (diff ? "Non-deterministic order: " : "Duplicate: ") + array.get(q);
+      }
+    }
+    return null;
+  }
+
+  static #tagRegistry = new Map();
+
+  static #cotxRegistry = new Map();
+
+  static #COTX_SYNTAX_ERROR = "Tag syntax " + CBOR.Tag.RESERVED_TAG_COTX +
+                              "([\"string\", CBOR object]) expected";
+
+  static #tagHandlerCheck = function(handler) {
+    if (typeof handler != 'object' || handler === null) {
+      throw TypeError("Tag handler must be an object");
+    }
+    ['validate', 'decode', 'encode'].forEach(method => {
+      if (handler[method] !== undefined && typeof handler[method] != 'function') {
+        throw TypeError("Tag handler method is not a function: " + method);
+      }
+    });
+    return handler;
+  }
+
+  static #tagNumberCheck = function(tagNumber) {
+    if (typeof tagNumber != 'bigint') {
+      tagNumber = BigInt(CBOR.#intCheck(tagNumber));
+    }
+    if (tagNumber < 0n || tagNumber >= 0x10000000000000000n) {
+      throw RangeError("Tag value is out of range");
+    }
+    return tagNumber;
+  }
+
+  static #SELF_DESCRIBE_PREFIX = new Uint8Array([0xd9, 0xd9, 0xf7]);
+
+  static #sniffBinary = function(binary, sequenceFlag, options) {
+    if (binary.length == 0) {
+      return false;
+    }
+    try {
+      let decoder = CBOR.initExtended(binary, sequenceFlag, true, false, options);
+      let object;
+      do {
+        object = CBOR.decodeExtended(decoder);
+      } while (sequenceFlag && object);
+      return true;
+    } catch (error) {
+      if (error instanceof CBOR.LimitError) {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  static #sniffText = function(text, options) {
+    let compact = text.replace(/\s/g, '');
+    if (/^([0-9a-fA-F]{2})+$/.test(compact) &&
+        CBOR.#sniffBinary(CBOR.fromHex(compact), true, options)) {
+      return 'hex';
+    }
+    if (/^[A-Za-z0-9_-]+={0,2}$/.test(compact) && compact.replace(/=/g, '').length % 4 != 1 &&
+        CBOR.#sniffBinary(CBOR.fromBase64Url(compact), true, options)) {
+      return 'base64url';
+    }
+    try {
+      CBOR.diagnosticNotation(text, true, options);
+      return 'diagnostic';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static #DEFAULT_MAX_NESTING_DEPTH = 500;
+
+  // Packed CBOR may expand exponentially.
+  static #DEFAULT_MAX_UNPACKED_SIZE = 1000000;
+
+  static #getLimit = function(options, name, defaultValue) {
+    let limit = options[name];
+    if (limit === undefined) {
+      return defaultValue;
+    }
+    if (CBOR.#intCheck(limit) < 0) {
+      throw RangeError("Negative " + name + ": " + limit);
+    }
+    return limit;
+  }
+
+  // Decoding errors already holding a location.
+  static #locatedErrors = new WeakSet();
+
+  // Returns up to 8 bytes before and after offset as hex, followed
+  // by a line with a marker below the byte at offset.
+  static #hexExcerpt = function(cbor, offset) {
+    let start = Math.max(0, offset - 8);
+    let end = Math.min(cbor.length, offset + 8);
+    let excerpt = start > 0 ? '... ' : '';
+    let marker = ' '.repeat(excerpt.length + (offset - start) * 3) + '^^';
+    for (let q = start; q < end; q++) {
+      excerpt += CBOR.#twoHex(cbor[q]) + ' ';
+    }
+    return (end < cbor.length ? excerpt + '...' : excerpt.trimEnd()) + '\n' + marker;
+  }
+
+  // Limits reference chains, including circular ones.
+  static #MAX_PACKED_REFERENCE_DEPTH = 100;
+
+  // [first tag, last tag, first argument index, inverted].
+  static #ARGUMENT_REFERENCE_TAGS = [
+    [224n, 255n, 0n, false],
+    [28704n, 32767n, 32n, false],
+    [1879052288n, 2147483647n, 4096n, false],
+    [216n, 223n, 0n, true]
+  ];
+
+  static #Unpacker = class {
+
+    #maxNestingDepth;
+    #maxStringLength;
+    #maxContainerSize;
+    #maxUnpackedSize;
+    // Items plus string lengths produced so far.
+    #unpackedSize = 0;
+    // Tags may end up inside other tags.
+    #tagPolicy;
+
+    // Takes the limits and tag policy from the options given to
+    // CBOR.unpack() or CBOR.initExtended().
+    constructor(options) {
+      let getLimit = (name, defaultValue) => CBOR.#getLimit(options, name, defaultValue);
+      this.#maxNestingDepth = getLimit('maxNestingDepth', CBOR.#DEFAULT_MAX_NESTING_DEPTH);
+      this.#maxStringLength = getLimit('maxStringLength', Infinity);
+      this.#maxContainerSize = getLimit('maxContainerSize', Infinity);
+      this.#maxUnpackedSize = getLimit('maxUnpackedSize', CBOR.#DEFAULT_MAX_UNPACKED_SIZE);
+      this.#tagPolicy = new CBOR.#TagPolicy(options);
+    }
+
+    unpack = function(object) {
+      return this.#unpackObject(object, {shared: [], argument: []}, 0, 1);
+    }
+
+    #checkLimit = function(name, maximum, value) {
+      if (value > maximum) {
+        throw new CBOR.LimitError(name, maximum, value);
+      }
+    }
+
+    #count = function(object) {
+      let size = 1;
+      if (object instanceof CBOR.String) {
+        size += object.getString().length;
+      } else if (object instanceof CBOR.Bytes) {
+        size += object.getBytes().length;
+      }
+      this.#unpackedSize += size;
+      this.#checkLimit('maxUnpackedSize', this.#maxUnpackedSize, this.#unpackedSize);
+    }
+
+    // Concatenation is the only way of creating strings and containers
+    // larger than those in the input.
+    #checkConcatenated = function(object) {
+      if (object instanceof CBOR.String) {
+        this.#checkLimit('maxStringLength', this.#maxStringLength,
+                         new TextEncoder().encode(object.getString()).length);
+      } else if (object instanceof CBOR.Bytes) {
+        this.#checkLimit('maxStringLength', this.#maxStringLength, object.getBytes().length);
+      } else {
+        this.#checkLimit('maxContainerSize', this.#maxContainerSize, object.size());
+      }
+      this.#count(object);
+      return object;
+    }
+
+    // Each table entry is an [item, tables] pair since items are expanded
+    // using the tables in effect where they were defined.  depth counts
+    // followed references while nesting is the depth in the result.
+    #unpackObject = function(object, tables, depth, nesting) {
+      this.#checkLimit('maxNestingDepth', this.#maxNestingDepth, nesting);
+      if (object instanceof CBOR.Simple && object._get() < 16) {
+        return this.#unpackShared(object._get(), tables, depth, nesting);
+      }
+      if (object instanceof CBOR.Array) {
+        this.#count(object);
+        let elements = object.toArray().map(element =>
+            this.#unpackObject(element, tables, depth, nesting + 1));
+        if (elements.every((element, index) => element === object.get(index))) {
+          return object;
+        }
+        let array = CBOR.Array();
+        elements.forEach(element => array.add(element));
+        return array;
+      }
+      if (object instanceof CBOR.Map) {
+        this.#count(object);
+        let map = CBOR.Map();
+        let changed = false;
+        object.getKeys().forEach(key => {
+          let value = object.get(key);
+          let newKey = this.#unpackObject(key, tables, depth, nesting + 1);
+          let newValue = this.#unpackObject(value, tables, depth, nesting + 1);
+          changed = changed || newKey !== key || newValue !== value;
+          map.set(newKey, newValue);
+        });
+        return changed ? map : object;
+      }
+      if (!(object instanceof CBOR.Tag)) {
+        this.#count(object);
+        return object;
+      }
+      let tagNumber = object.getTagNumber();
+      let content = object.getTagObject();
+      if (tagNumber == CBOR.Tag.RESERVED_TAG_PACKED_TABLES) {
+        if (!(content instanceof CBOR.Array) || content.size() != 3 ||
+            !(content.get(0) instanceof CBOR.Array) || !(content.get(1) instanceof CBOR.Array)) {
+          throw new CBOR.DecodeError('INVALID_PACKED', "Tag syntax " + tagNumber +
+                                     "([shared items, arguments, rump]) expected");
+        }
+        let innerTables = {};
+        let entries = (array) => array.toArray().map(item => [item, innerTables]);
+        innerTables.shared = entries(content.get(0)).concat(tables.shared);
+        innerTables.argument = entries(content.get(1)).concat(tables.argument);
+        return this.#unpackObject(content.get(2), innerTables, depth, nesting);
+      }
+      if (tagNumber == CBOR.Tag.RESERVED_TAG_PACKED_REFERENCE &&
+          (content instanceof CBOR.Int || content instanceof CBOR.BigInt)) {
+        let value = content.getBigInt();
+        let index = value < 0n ? 15n - 2n * value : 16n + 2n * value;
+        return this.#unpackShared(index, tables, depth, nesting);
+      }
+      let reference = CBOR.#getArgumentReference(tagNumber);
+      if (reference) {
+        let argument = this.#unpackTableEntry(tables.argument, reference.index, "argument",
+                                              depth, nesting);
+        let rump = this.#unpackObject(content, tables, depth, nesting);
+        return this.#checkConcatenated(reference.inverted ?
+            CBOR.#concatenatePacked(rump, argument) : CBOR.#concatenatePacked(argument, rump));
+      }
+      this.#count(object);
+      this.#tagPolicy.check(tagNumber);
+      let newContent = this.#tagPolicy.getContent(tagNumber, () =>
+          this.#unpackObject(content, tables, depth, nesting + 1));
+      if (newContent === content && !CBOR.#isPlainTag(object)) {
+        return object;
+      }
+      return CBOR.#createTag(tagNumber, newContent);
+    }
+
+    #unpackShared = function(index, tables, depth, nesting) {
+      return this.#unpackTableEntry(tables.shared, index, "shared item", depth, nesting);
+    }
+
+    #unpackTableEntry = function(table, index, kind, depth, nesting) {
+      let entry = table[Number(index)];
+      if (!entry) {
+        throw new CBOR.DecodeError('PACKED_REFERENCE',
+            "Packed CBOR " + kind + " reference out of range: " + index);
+      }
+      if (depth >= CBOR.#MAX_PACKED_REFERENCE_DEPTH) {
+        throw new CBOR.DecodeError('PACKED_REFERENCE',
+                                   "Packed CBOR reference depth limit exceeded");
+      }
+      return this.#unpackObject(entry[0], entry[1], depth + 1, nesting);
+    }
+  }
+
+  // Returns {index, inverted} or null for tags that are not argument references.
+  static #getArgumentReference = function(tagNumber) {
+    if (tagNumber == CBOR.Tag.RESERVED_TAG_PACKED_REFERENCE) {
+      return {index: 0n, inverted: false};
+    }
+    for (let [first, last, offset, inverted] of CBOR.#ARGUMENT_REFERENCE_TAGS) {
+      if (tagNumber >= first && tagNumber <= last) {
+        return {index: tagNumber - first + offset, inverted: inverted};
+      }
+    }
+    return null;
+  }
+
+  // Returns the straight reference tag for an argument index.
+  static #getArgumentTag = function(index) {
+    if (index == 0) {
+      return CBOR.Tag.RESERVED_TAG_PACKED_REFERENCE;
+    }
+    let [first, last, offset] = CBOR.#ARGUMENT_REFERENCE_TAGS.find(range =>
+        BigInt(index) - range[2] + range[0] <= range[1]);
+    return BigInt(index) - offset + first;
+  }
+
+  // Number of bytes needed for a straight reference tag.
+  static #argumentReferenceCost = function(index) {
+    return index == 0 ? 1 : index < 32 ? 2 : index < 4096 ? 3 : 5;
+  }
+
+  static #concatenatePacked = function(prefix, suffix) {
+    if (prefix instanceof CBOR.String && suffix instanceof CBOR.String) {
+      return CBOR.String(prefix.getString() + suffix.getString());
+    }
+    if (prefix instanceof CBOR.Bytes && suffix instanceof CBOR.Bytes) {
+      return CBOR.Bytes(CBOR.addArrays(prefix.getBytes(), suffix.getBytes()));
+    }
+    if (prefix instanceof CBOR.Array && suffix instanceof CBOR.Array) {
+      let array = CBOR.Array();
+      prefix.toArray().concat(suffix.toArray()).forEach(element => array.add(element));
+      return array;
+    }
+    if (prefix instanceof CBOR.Map && suffix instanceof CBOR.Map) {
+      let map = CBOR.Map();
+      [prefix, suffix].forEach(source =>
+          source.getKeys().forEach(key => map.set(key, source.get(key))));
+      return map;
+    }
+    throw new CBOR.DecodeError('INVALID_PACKED', "Packed CBOR cannot concatenate " +
+        prefix.constructor.name + " and " + suffix.constructor.name);
+  }
+
+  // True for tags without a dedicated type.
+  static #isPlainTag = function(object) {
+    return Object.getPrototypeOf(object) == CBOR.Tag.prototype;
+  }
+
+  // Number of bytes needed for referring to a shared item.
+  static #sharedReferenceCost = function(index) {
+    if (index < 16) {
+      return 1;
     }
+    let value = (index - 16) >> 1;
+    return value < 24 ? 2 : value < 256 ? 3 : value < 65536 ? 4 : 6;
+  }
 
-    testForNonDecimal = function(nonDecimal) {
-      if (nonDecimal) {
-        this.reportError("Hexadecimal not permitted here");
-      }
+  static #sharedReference = function(index) {
+    if (index < 16) {
+      return CBOR.Simple(index);
     }
+    let value = (index - 16) >> 1;
+    return CBOR.Tag(CBOR.Tag.RESERVED_TAG_PACKED_REFERENCE,
+                    CBOR.Int(index & 1 ? -1 - value : value));
+  }
 
-    nextChar = function() {
-      if (this.index == this.cborText.length) return String.fromCharCode(0);
-      let c = this.readChar();
-      this.index--;
-      return c;
+  static #getChildren = function(object) {
+    if (object instanceof CBOR.Array) {
+      return object.toArray();
+    }
+    if (object instanceof CBOR.Map) {
+      return object.getKeys().flatMap(key => [key, object.get(key)]);
+    }
+    if (object instanceof CBOR.Tag) {
+      return [object.getTagObject()];
+    }
+    return [];
+  }
+
+  static #Packer = class {
+
+    #root;
+    // Hex encoding => {object, count, length}.
+    #items = new Map();
+    // Hex encoding => shared item index.
+    #shared = new Map();
+    // Text string => argument index.
+    #prefixes = new Map();
+    // Text string => prefix.
+    #prefixedStrings = new Map();
+
+    constructor(root) {
+      this.#root = root;
     }
 
-    toChar = function(c) {
-      let charCode = c.charCodeAt(0); 
-      return charCode < 0x20 ? "\\u00" + CBOR.#twoHex(charCode) : "'" + c + "'";
+    pack = function() {
+      this.#count(this.#root, true);
+      this.#selectSharedItems();
+      this.#selectPrefixes();
+      let shared = CBOR.Array();
+      let sharedItems = [];
+      this.#shared.forEach((index, key) => sharedItems[index] = this.#items.get(key).object);
+      sharedItems.forEach(item => shared.add(this.#replace(item, true)));
+      let argument = CBOR.Array();
+      this.#prefixes.forEach((index, prefix) => argument.add(CBOR.String(prefix)));
+      return CBOR.Tag(CBOR.Tag.RESERVED_TAG_PACKED_TABLES,
+                      CBOR.Array().add(shared).add(argument).add(this.#replace(this.#root, false)));
     }
 
-    scanFor = function(expected) {
-      [...expected].forEach(c => {
-        let actual = this.readChar(); 
-        if (c != actual) {
-          this.reportError("Expected: '" + c + "' actual: " + this.toChar(actual));
+    // Items inside tags having a dedicated type (like CBOR.DateTime) are only
+    // checked since references would not be valid tag content.
+    #count = function(object, packable) {
+      if ((object instanceof CBOR.Simple && object._get() < 16) ||
+          (object instanceof CBOR.Tag && (CBOR.#getArgumentReference(object.getTagNumber()) ||
+              object.getTagNumber() == CBOR.Tag.RESERVED_TAG_PACKED_TABLES))) {
+        throw new CBOR.EncodeError('NOT_PACKABLE',
+                                   "Cannot pack object containing: " + object.toString());
+      }
+      if (packable) {
+        let encoded = object.encode();
+        let key = CBOR.toHex(encoded);
+        let item = this.#items.get(key);
+        if (item) {
+          item.count++;
+        } else {
+          this.#items.set(key, {object: object, count: 1, length: encoded.length});
+        }
+      }
+      let packableChildren = packable && !(object instanceof CBOR.Tag && !CBOR.#isPlainTag(object));
+      CBOR.#getChildren(object).forEach(child => this.#count(child, packableChildren));
+    }
+
+    // Largest items first so that items nested in shared items are
+    // counted once per shared item.
+    #selectSharedItems = function() {
+      let candidates = [...this.#items.entries()].filter(entry => entry[1].count > 1)
+                                                  .sort((a, b) => b[1].length - a[1].length);
+      let selected = [];
+      candidates.forEach(([key, item]) => {
+        let cost = CBOR.#sharedReferenceCost(selected.length);
+        if (item.count > 1 && (item.count - 1) * item.length > item.count * cost) {
+          selected.push(key);
+          let discount = (object) => this.#packableChildren(object).forEach(child => {
+            this.#items.get(CBOR.toHex(child.encode())).count -= item.count - 1;
+            discount(child);
+          });
+          discount(item.object);
         }
       });
+      // The most frequently used items get the shortest references.
+      selected.sort((a, b) => this.#items.get(b).count - this.#items.get(a).count)
+              .forEach((key, index) => this.#shared.set(key, index));
     }
 
-    getString = function(byteString) {
-      let s = '';
+    // Greedily selects the common prefix of text strings giving the highest
+    // saving until no prefix saves space.  Each string uses the prefix saving
+    // the most for it.
+    #selectPrefixes = function() {
+      let strings = [];
+      this.#items.forEach((item, key) => {
+        if (item.object instanceof CBOR.String && item.count > 0) {
+          // Shared items only appear once, in the table.
+          strings.push({string: item.object.getString(),
+                        count: this.#shared.has(key) ? 1 : item.count,
+                        saving: 0});
+        }
+      });
+      strings.sort((a, b) => a.string < b.string ? -1 : a.string > b.string ? 1 : 0);
+      let candidates = new Set();
+      for (let q = 1; q < strings.length; q++) {
+        let a = strings[q - 1].string;
+        let b = strings[q].string;
+        let length = 0;
+        while (length < a.length && a[length] == b[length]) {
+          length++;
+        }
+        // Avoid splitting surrogate pairs.
+        if (length && /[\ud800-\udbff]/.test(a[length - 1])) {
+          length--;
+        }
+        if (length > 2) {
+          candidates.add(a.substring(0, length));
+        }
+      }
+      let selected = [];
       while (true) {
-        let c;
-        switch (c = this.readChar()) {
-          // Multiline extension
-          case '\n':
-          case '\r':
-          case '\t':
-            break;
-
-          case '\\':
-            switch (c = this.readChar()) {
-              case '\n':
-                continue;
-
-              case '\'':
-              case '"':
-              case '\\':
-                break;
-  
-              case 'b':
-                c = '\b';
-                break;
-  
-              case 'f':
-                c = '\f';
-                break;
-  
-              case 'n':
-                c = '\n';
-                break;
-  
-              case 'r':
-                c = '\r';
-                break;
-  
-              case 't':
-                c = '\t';
-                break;
-  
-              case 'u':
-                let u16 = 0;
-                for (let i = 0; i < 4; i++) {
-                  u16 += (u16 << 4) + CBOR.#decodeOneHex(this.readChar().charCodeAt(0));
-                }
-                c = String.fromCharCode(u16);
-                break;
-  
-              default:
-                this.reportError("Invalid escape character " + this.toChar(c));
-            }
-            break;
- 
-          case '"':
-            if (!byteString) {
-              return CBOR.String(s);
-            }
-            break;
-
-          case '\'':
-            if (byteString) {
-              return CBOR.Bytes(UTF8.encode(s));
-            }
-            break;
-          
-          default:
-            if (c.charCodeAt(0) < 0x20) {
-              this.reportError("Unexpected control character: " + this.toChar(c));
+        let best = null;
+        let bestGain = 0;
+        let cost = CBOR.#argumentReferenceCost(selected.length);
+        candidates.forEach(prefix => {
+          let length = CBOR.String(prefix).encode().length;
+          // The remaining string typically keeps its header size.
+          let saving = length - 1 - cost;
+          let gain = -length;
+          strings.forEach(entry => {
+            if (entry.string.startsWith(prefix) && saving > entry.saving) {
+              gain += entry.count * (saving - entry.saving);
             }
+          });
+          if (gain > bestGain) {
+            best = prefix;
+            bestGain = gain;
+          }
+        });
+        if (best == null) {
+          break;
         }
-        s += c;
+        candidates.delete(best);
+        selected.push(best);
+        let saving = CBOR.String(best).encode().length - 1 - cost;
+        strings.forEach(entry => {
+          if (entry.string.startsWith(best) && saving > entry.saving) {
+            entry.prefix = best;
+            entry.saving = saving;
+          }
+        });
       }
+      // Prefixes may have lost all their strings to longer prefixes.
+      let uses = new Map();
+      strings.filter(entry => entry.prefix != undefined).forEach(entry => {
+        this.#prefixedStrings.set(entry.string, entry.prefix);
+        uses.set(entry.prefix, (uses.get(entry.prefix) || 0) + entry.count);
+      });
+      [...uses.keys()].sort((a, b) => uses.get(b) - uses.get(a))
+                      .forEach((prefix, index) => this.#prefixes.set(prefix, index));
     }
-  
-    getBytes = function(b64) {
-      let token = '';
-      this.scanFor("'");
-      while(true) {
-        let c;
-        switch (c = this.readChar()) {
-          case '\'':
-            break;
-         
-          case ' ':
-          case '\r':
-          case '\n':
-          case '\t':
-            continue;
 
-          default:
-            token += c;
-            continue;
-        }
-        break;
+    #packableChildren = function(object) {
+      return object instanceof CBOR.Tag && !CBOR.#isPlainTag(object) ?
+          [] : CBOR.#getChildren(object);
+    }
+
+    #replace = function(object, tableItem) {
+      let key = CBOR.toHex(object.encode());
+      if (!tableItem && this.#shared.has(key)) {
+        return CBOR.#sharedReference(this.#shared.get(key));
       }
-      return CBOR.Bytes(b64 ? CBOR.fromBase64Url(token) : CBOR.fromHex(token));
+      if (object instanceof CBOR.String && this.#prefixedStrings.has(object.getString())) {
+        let prefix = this.#prefixedStrings.get(object.getString());
+        return CBOR.Tag(CBOR.#getArgumentTag(this.#prefixes.get(prefix)),
+                        CBOR.String(object.getString().substring(prefix.length)));
+      }
+      if (object instanceof CBOR.Array) {
+        let array = CBOR.Array();
+        object.toArray().forEach(element => array.add(this.#replace(element, false)));
+        return array;
+      }
+      if (object instanceof CBOR.Map) {
+        let map = CBOR.Map();
+        object.getKeys().forEach(key =>
+            map.set(this.#replace(key, false), this.#replace(object.get(key), false)));
+        return map;
+      }
+      if (object instanceof CBOR.Tag && CBOR.#isPlainTag(object)) {
+        return CBOR.Tag(object.getTagNumber(), this.#replace(object.getTagObject(), false));
+      }
+      return object;
+    }
+  }
+
+  static #dateCheck = function(date) {
+    if (Number.isNaN(date.getTime())) {
+      throw RangeError("Invalid Date");
     }
+    return date;
+  }
 
-    hexCharToChar = function(c) {
+  static #dateToRfc3339 = function(date) {
+    let dateTime = CBOR.#dateCheck(date).toISOString();
+    if (dateTime.length != 24) {
+      // Six digit years.
+      throw RangeError("Year out of range: " + dateTime);
+    }
+    return dateTime.replace('.000Z', 'Z');
+  }
 
-      if (c >= '0' && c <= '9') {
-        return (char) (c - '0');
+  // Returns 4 or 16 bytes.
+  static #parseIPAddress = function(address) {
+    let ipv4 = function(text) {
+      let parts = text.split('.');
+      if (parts.length != 4 ||
+          !parts.every(part => /^(0|[1-9]\d{0,2})$/.test(part) && part < 256)) {
+        throw SyntaxError("Invalid IP address: " + address);
       }
-      if (c >= 'a' && c <= 'f') {
-        return (char) (c - 'a' + 10);
+      return parts.map(Number);
+    }
+    if (!address.includes(':')) {
+      return new Uint8Array(ipv4(address));
+    }
+    let halves = address.split('::');
+    if (halves.length > 2) {
+      throw SyntaxError("Invalid IP address: " + address);
+    }
+    let groups = halves.map(half => half == '' ? [] : half.split(':'));
+    let words = groups.map(group => group.flatMap((word, index) => {
+      // Embedded IPv4 address like ::ffff:192.0.2.1.
+      if (word.includes('.') && index == group.length - 1 && group == groups[groups.length - 1]) {
+        let bytes = ipv4(word);
+        return [(bytes[0] << 8) + bytes[1], (bytes[2] << 8) + bytes[3]];
       }
-      if (c >= 'A' && c <= 'F') {
-        return (char) (c - 'A' + 10);
+      if (!/^[0-9a-fA-F]{1,4}$/.test(word)) {
+        throw SyntaxError("Invalid IP address: " + address);
       }
-      reportError(String.format("Bad hex character: %s", toChar(c)));
-      return 0; // For the compiler...
+      return [parseInt(word, 16)];
+    }));
+    let count = words.reduce((sum, half) => sum + half.length, 0);
+    if (halves.length == 2 ? count > 7 : count != 8) {
+      throw SyntaxError("Invalid IP address: " + address);
     }
+    let result = new Uint8Array(16);
+    let offset = 0;
+    words.forEach((half, index) => {
+      if (index) {
+        offset = 16 - half.length * 2;
+      }
+      half.forEach(word => {
+        result[offset++] = word >> 8;
+        result[offset++] = word & 0xff;
+      });
+    });
+    return result;
+  }
 
-    readChar = function() {
-      if (this.index >= this.cborText.length) {
-        this.reportError("Unexpected EOF");
+  static #ipAddressToString = function(bytes) {
+    if (bytes.length == 4) {
+      return bytes.join('.');
+    }
+    let words = [];
+    for (let q = 0; q < 16; q += 2) {
+      words.push(((bytes[q] << 8) + bytes[q + 1]).toString(16));
+    }
+    // IPv4-mapped addresses use mixed notation.
+    if (words.slice(0, 6).join(':') == '0:0:0:0:0:ffff') {
+      return '::ffff:' + bytes.slice(12).join('.');
+    }
+    // RFC 5952: compress the first longest run of two or more zero words.
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let start = 0; start < 8; start++) {
+      let length = 0;
+      while (start + length < 8 && words[start + length] == '0') {
+        length++;
       }
-      return this.cborText[this.index++];
+      if (length > bestLength) {
+        bestStart = start;
+        bestLength = length;
+      }
+    }
+    if (bestStart < 0) {
+      return words.join(':');
     }
+    return words.slice(0, bestStart).join(':') + '::' +
+        words.slice(bestStart + bestLength).join(':');
+  }
 
-    scanNonSignficantData = function() {
-      while (this.index < this.cborText.length) {
-        switch (this.nextChar()) {
-          case ' ':
-          case '\n':
-          case '\r':
-          case '\t':
-            this.readChar();
-            continue;
+  static #floorDivide = function(dividend, divisor) {
+    let quotient = dividend / divisor;
+    return quotient * divisor > dividend ? quotient - 1n : quotient;
+  }
 
-          case '/':
-            this.readChar();
-            if (this.nextChar() != '/') {
-              while (this.readChar() != '/') {
-              }
-              continue;
-            }
-          // Yes, '//' is currently considered as equivalent to '#'
-          case '#':
-            this.readChar();
-            while (this.index < this.cborText.length && this.readChar() != '\n') {
-            }
-            continue;
+  // Converts the base value (key 1, 4 or 5) of a time map.
+  static #secondsToNanoseconds = function(key, value) {
+    if (key == 1) {
+      if (value instanceof CBOR.Int || value instanceof CBOR.BigInt) {
+        return value.getBigInt() * 1000000000n;
+      }
+      if (!(value instanceof CBOR.Float)) {
+        throw TypeError("Base value must be an integer or a floating point value");
+      }
+      key = 5;
+      value = CBOR.#exponentMantissaArray(
+          ...CBOR.#decomposeNumber(CBOR.#finiteCheck(value.getFloat())).reverse());
+    }
+    // Validates the [exponent, mantissa] array.
+    let exponentMantissa = key == 4 ? CBOR.DecimalFraction(value) : CBOR.BigFloat(value);
+    let exponent = exponentMantissa.getExponent();
+    let mantissa = exponentMantissa.getMantissa() * 1000000000n;
+    if (Math.abs(exponent) > 1100) {
+      throw RangeError("Base value exponent out of range: " + exponent);
+    }
+    let scale = (key == 4 ? 10n : 2n) ** BigInt(Math.abs(exponent));
+    return exponent < 0 ? CBOR.#floorDivide(mantissa, scale) : mantissa * scale;
+  }
 
-          default:
-            return;
-        }
+  static #nanosecondsToTimeMap = function(nanoseconds) {
+    let seconds = CBOR.#floorDivide(nanoseconds, 1000000000n);
+    let map = CBOR.Map().set(CBOR.Int(1), CBOR.BigInt(seconds));
+    if (nanoseconds != seconds * 1000000000n) {
+      map.set(CBOR.Int(-9), CBOR.BigInt(nanoseconds - seconds * 1000000000n));
+    }
+    return map;
+  }
+
+  static #rfc3339ToDate = function(dateTime) {
+    let match = dateTime.match(
+        /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|([+-])(\d{2}):(\d{2}))$/);
+    if (match) {
+      let [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+      let date = new Date(0);
+      date.setUTCFullYear(year, month - 1, day);
+      // Note: leap seconds (60) are accepted but become the next second.
+      if (date.getUTCMonth() == month - 1 && day > 0 &&
+          hour < 24 && minute < 60 && second <= 60 &&
+          (!match[9] || (Number(match[10]) < 24 && Number(match[11]) < 60))) {
+        date.setUTCHours(hour, minute, second, 
+                         match[7] ? Math.floor(Number('0' + match[7]) * 1000) : 0);
+        let offset = match[9] ? Number(match[10]) * 60 + Number(match[11]) : 0;
+        return new Date(date.getTime() - (match[9] == '-' ? -offset : offset) * 60000);
       }
     }
+    throw SyntaxError("Invalid RFC 3339 date/time: " + dateTime);
   }
 
-///////////////////////////////
-// CBOR.diagnosticNotation() //
-///////////////////////////////
+  static #exponentMantissaArray = function(exponent, mantissa) {
+    return CBOR.Array().add(CBOR.Int(exponent)).add(CBOR.BigInt(mantissa));
+  }
 
-  static diagnosticNotation = function(cborText, optionalSequenceFlag) {
-    if (optionalSequenceFlag) {
-      return new CBOR.#DiagnosticNotation(cborText, true).readSequenceToEOF();
-    } else {
-      return new CBOR.#DiagnosticNotation(cborText, false).readToEOF();
+  // Returns [mantissa, exponent] for decimal strings like "-1.25e-7".
+  static #parseDecimal = function(decimal) {
+    let match = decimal.match(/^([+-]?\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/);
+    if (!match) {
+      throw SyntaxError("Invalid decimal number: " + decimal);
     }
+    let fraction = match[2] ? match[2] : '';
+    return [BigInt(match[1] + fraction),
+            CBOR.#intCheck(Number(match[3] ? match[3] : 0) - fraction.length)];
   }
 
-//================================//
-//    Internal Support Methods    //
-//================================//
+  static #normalizeDecimal = function(mantissa, exponent) {
+    if (!mantissa) {
+      return [0n, 0];
+    }
+    while (mantissa % 10n == 0n) {
+      mantissa /= 10n;
+      exponent++;
+    }
+    return [mantissa, exponent];
+  }
 
-  static #encodeTagAndN = function(majorType, n) {
-    let modifier = n;
-    let length = 0;
-    if (n > 23) {
-      modifier = 24;
-      length = 1;
-      let nextRange = 0x100;
-      while (length < 8 && n >= nextRange) {
-        modifier++;
-        length <<= 1;
-        // The last multiplication will not be an integer but "length < 8" handles this.
-        nextRange *= nextRange;
-      }
+  static #normalizeBinary = function(mantissa, exponent) {
+    if (!mantissa) {
+      return [0n, 0];
     }
-    let encoded = new Uint8Array(length + 1);
-    encoded[0] = majorType | modifier;
-    while (length > 0) {
-      encoded[length--] = n;
-      n /= 256;
+    while (!(mantissa & 1n)) {
+      mantissa >>= 1n;
+      exponent++;
     }
-    return encoded;
+    return [mantissa, exponent];
+  }
+
+  // Returns mantissa * 10 ^ exponent in positional notation.
+  static #decimalToString = function(mantissa, exponent) {
+    if (exponent >= 0) {
+      return (mantissa * 10n ** BigInt(exponent)).toString();
+    }
+    let digits = (mantissa < 0n ? -mantissa : mantissa).toString().padStart(1 - exponent, '0');
+    return (mantissa < 0n ? '-' : '') + digits.slice(0, exponent) + '.' + digits.slice(exponent);
+  }
+
+  // Returns [mantissa, exponent] such that value = mantissa * 2 ^ exponent.
+  static #decomposeNumber = function(value) {
+    const buffer = new ArrayBuffer(8);
+    new DataView(buffer).setFloat64(0, value, false);
+    let bits = new DataView(buffer).getBigUint64(0, false);
+    let exponent = Number((bits >> 52n) & 0x7ffn);
+    let mantissa = bits & 0xfffffffffffffn;
+    if (exponent) {
+      // Normal representation, add implicit "1.".
+      mantissa += 0x10000000000000n;
+    } else {
+      exponent++;
+    }
+    return CBOR.#normalizeBinary(bits >> 63n ? -mantissa : mantissa, exponent - 1075);
+  }
+
+  static #gcd = function(a, b) {
+    a = a < 0n ? -a : a;
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+
+  static #finiteCheck = function(value) {
+    if (!Number.isFinite(CBOR.#typeCheck(value, 'number'))) {
+      throw RangeError("Argument is not a finite number: " + value);
+    }
+    return value;
   }
 
   static #bytesCheck = function(byteArray) {
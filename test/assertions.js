@@ -6,6 +6,18 @@ function assertFalse(text, bool) {
   if (bool) throw Error("Assertion: " + text);
 }
 
+function shouldFail(message, operation) {
+  try {
+    operation();
+    throw Error("Should not");
+  } catch (error) {
+    if (!error.toString().includes(message)) {
+      throw error;
+    }
+  }
+}
+
 exports.assertFalse = assertFalse;
 exports.assertTrue = assertTrue;
+exports.shouldFail = shouldFail;
  
\ No newline at end of file
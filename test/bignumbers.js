@@ -0,0 +1,98 @@
+// Test program for decimal fractions, bigfloats and rationals (tags 4, 5 and 30)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function roundTrip(cborObject, hex, text) {
+  let cbor = cborObject.encode();
+  assertTrue("hex=" + hex, CBOR.toHex(cbor) == hex);
+  let decoded = CBOR.decode(cbor);
+  assertTrue("type=" + hex, decoded.constructor == cborObject.constructor);
+  assertTrue("text=" + hex, decoded.toString() == text);
+  assertTrue("diag=" + hex, CBOR.diagnosticNotation(text).equals(decoded));
+  return decoded;
+}
+
+// RFC 8949 examples.
+let decimal = roundTrip(CBOR.DecimalFraction("273.15"), 'c48221196ab3', '4([-2, 27315]) / 273.15 /');
+assertTrue("exp", decimal.getExponent() == -2);
+assertTrue("mant", decimal.getMantissa() == 27315n);
+assertTrue("num", decimal.toNumber() == 273.15);
+let bigFloat = roundTrip(CBOR.BigFloat(1.5), 'c5822003', '5([-1, 3]) / 1.5 /');
+assertTrue("bf", bigFloat.toNumber() == 1.5 && bigFloat.toDecimalString() == "1.5");
+
+assertTrue("dec1", CBOR.DecimalFraction("-0.001").toDecimalString() == "-0.001");
+assertTrue("dec2", CBOR.DecimalFraction("12e3").toDecimalString() == "12000");
+assertTrue("dec3", CBOR.DecimalFraction(1e-7).toDecimalString() == "0.0000001");
+assertTrue("dec4", CBOR.DecimalFraction("1e2000").toDecimalString() == "1e2000");
+assertTrue("dec5", CBOR.DecimalFraction(0.1).toNumber() == 0.1);
+
+// Big mantissas.
+let big = CBOR.DecimalFraction("1234567890123456789012345.6789");
+assertTrue("bigm", big.getTagObject().get(1) instanceof CBOR.BigInt);
+roundTrip(big, 'c48223c24c27e41b3246bec9b16e398115',
+          '4([-4, 12345678901234567890123456789]) / 1234567890123456789012345.6789 /');
+
+// Loss detection.
+shouldFail("without loss", () => CBOR.DecimalFraction("0.10000000000000001").toNumber());
+assertTrue("loss", CBOR.DecimalFraction("0.10000000000000001").toNumber(true) == 0.1);
+shouldFail("without loss", () => CBOR.DecimalFraction("1e400").toNumber());
+assertTrue("inf", CBOR.DecimalFraction("-1e400").toNumber(true) == -Infinity);
+shouldFail("without loss", () => 
+    CBOR.BigFloat(CBOR.Array().add(CBOR.Int(-1)).add(CBOR.BigInt(2n ** 60n + 1n))).toNumber());
+assertTrue("tiny", CBOR.BigFloat(5e-324).toNumber() == 5e-324);
+// Large exponents cancelled by the mantissa.
+function exponentMantissa(factory, exponent, mantissa) {
+  return factory(CBOR.Array().add(CBOR.Int(exponent)).add(CBOR.BigInt(mantissa)));
+}
+assertTrue("bf1", exponentMantissa(CBOR.BigFloat, -1101, 2n ** 1101n).toNumber() === 1);
+assertTrue("bf2", exponentMantissa(CBOR.BigFloat, -20000, 3n * 2n ** 19999n).toNumber() == 1.5);
+assertTrue("bf3", exponentMantissa(CBOR.BigFloat, -2174, 2n ** 1100n).toNumber() == 5e-324);
+assertTrue("df1", exponentMantissa(CBOR.DecimalFraction, -1101, 10n ** 1101n).toNumber() === 1);
+assertTrue("df2",
+           exponentMantissa(CBOR.DecimalFraction, -1101, -15n * 10n ** 1100n).toNumber() == -1.5);
+shouldFail("without loss", () =>
+    exponentMantissa(CBOR.BigFloat, -1101, 2n ** 1101n + 1n).toNumber());
+assertTrue("huge", exponentMantissa(CBOR.DecimalFraction, 1200, -5n).toNumber(true) == -Infinity);
+assertTrue("small", exponentMantissa(CBOR.BigFloat, -1200, 1n).toNumber(true) === 0);
+assertTrue("bfdec", CBOR.BigFloat(0.1).toDecimalString() == 
+                    "0.1000000000000000055511151231257827021181583404541015625");
+assertTrue("bfstr", CBOR.BigFloat("0.375").getExponent() == -3);
+shouldFail("cannot be represented as a bigfloat", () => CBOR.BigFloat("0.1"));
+
+// Rationals.
+let rational = roundTrip(CBOR.Rational("-1/3"), 'd81e822003', '30([-1, 3])');
+assertTrue("num", rational.getNumerator() == -1n && rational.getDenominator() == 3n);
+shouldFail("without loss", () => rational.toNumber());
+assertTrue("third", rational.toNumber(true) == -1 / 3);
+shouldFail("no finite decimal", () => rational.toDecimalString());
+rational = CBOR.Rational("0.75");
+assertTrue("reduced", rational.getNumerator() == 3n && rational.getDenominator() == 4n);
+assertTrue("r1", rational.toNumber() == 0.75 && rational.toDecimalString() == "0.75");
+assertTrue("r2", CBOR.Rational(0.1).toNumber() == 0.1);
+assertTrue("r3", CBOR.Rational(6).toString() == "30([6, 1]) / 6 /");
+assertTrue("r4", CBOR.Rational("7/40").toDecimalString() == "0.175");
+assertTrue("r5", CBOR.Rational("123456789012345678901234567890/10").toNumber(true) ==
+                 12345678901234567890123456789);
+// Exact values near the subnormal range.
+assertTrue("r6", CBOR.Rational("1/" + 2n ** 1011n).toNumber() == 2 ** -1011);
+assertTrue("r7", CBOR.Rational("3/" + 2n ** 1074n).toNumber() == 3 * 2 ** -1074);
+assertTrue("r8", CBOR.Rational(2 ** -1074).toNumber() == 2 ** -1074);
+shouldFail("without loss", () => CBOR.Rational("1/" + 2n ** 1075n).toNumber());
+// Comments hold the decimal value when it is finite and short.
+assertTrue("rc1", CBOR.Rational("-7/40").toString() == "30([-7, 40]) / -0.175 /");
+assertTrue("rc2", CBOR.Rational("1/" + 2n ** 1011n).toString().indexOf('/ 0.') < 0);
+
+// Invalid content.
+shouldFail("requires an [exponent, mantissa]", () => CBOR.decode(CBOR.fromHex('c482f9000001')));
+shouldFail("requires an [exponent, mantissa]", () => CBOR.decode(CBOR.fromHex('c48101')));
+shouldFail("requires an [exponent, mantissa]", () => CBOR.decode(CBOR.fromHex('c582616101')));
+shouldFail("positive denominator", () => CBOR.decode(CBOR.fromHex('d81e820100')));
+shouldFail("positive denominator", () => CBOR.diagnosticNotation('30([1, -2])'));
+shouldFail("Invalid decimal", () => CBOR.DecimalFraction("1.2.3"));
+shouldFail("finite number", () => CBOR.BigFloat(Infinity));
+
+// Plain tags are unaffected.
+assertTrue("plain", CBOR.decode(CBOR.fromHex('c66161')).constructor == CBOR.Tag(6n, CBOR.Int(0)).constructor);
+
+console.log("Big numbers OK");
@@ -0,0 +1,64 @@
+// Test program for COTX (tag 1010) objects and the COTX registry
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+const OBJECT_ID = "https://example.com/myobject";
+
+let cotx = CBOR.Cotx(OBJECT_ID, CBOR.Int(6));
+assertTrue("hex", CBOR.toHex(cotx.encode()) == 
+    "d903f282781c68747470733a2f2f6578616d706c652e636f6d2f6d796f626a65637406");
+assertTrue("text", cotx.toString() == '1010(["' + OBJECT_ID + '", 6])');
+let decoded = CBOR.decode(cotx.encode());
+assertTrue("type", decoded.constructor == cotx.constructor);
+assertTrue("id", decoded.getObjectId() == OBJECT_ID && decoded.getObject().getInt() == 6);
+assertTrue("diag", CBOR.diagnosticNotation(cotx.toString()).equals(cotx));
+assertTrue("cbors", CBOR.Cotx(CBOR.String(OBJECT_ID), CBOR.Int(6)).equals(cotx));
+
+// Invalid syntax.
+const SYNTAX = 'Tag syntax 1010(["string", CBOR object]) expected';
+shouldFail(SYNTAX, () => CBOR.decode(CBOR.fromHex('d903f201')));
+shouldFail(SYNTAX, () => CBOR.decode(CBOR.fromHex('d903f2820102')));
+shouldFail(SYNTAX, () => CBOR.decode(CBOR.fromHex('d903f28161' + '61')));
+shouldFail(SYNTAX, () => CBOR.diagnosticNotation('1010([1, 2])'));
+shouldFail(SYNTAX, () => CBOR.Cotx(5, CBOR.Int(6)));
+
+// Preserved encoding.
+let indefinite = CBOR.fromHex('d903f29f616102ff');
+decoded = CBOR.decodeExtended(CBOR.initExtended(indefinite, false, true, false,
+                                                {preserveEncoding: true}));
+assertTrue("preserve", CBOR.compareArrays(decoded.encode(), indefinite) == 0);
+
+// Registry.
+class Version {
+  constructor(major, minor) {
+    this.major = major;
+    this.minor = minor;
+  }
+}
+CBOR.Cotx.register(OBJECT_ID, {
+  validate: object => object instanceof CBOR.Array && object.size() == 2,
+  decode: object => new Version(object.get(0).getInt(), object.get(1).getInt()),
+  encode: version => CBOR.Array().add(CBOR.Int(version.major)).add(CBOR.Int(version.minor))
+});
+let version = new Version(2, 1);
+cotx = CBOR.Cotx.fromApplication(OBJECT_ID, version);
+assertTrue("app", cotx.getApplicationObject() === version);
+assertTrue("apptext", cotx.toString() == '1010(["' + OBJECT_ID + '", [2, 1]])');
+decoded = CBOR.decode(CBOR.Array().add(cotx).encode()).get(0);
+assertTrue("appdecode", decoded.getApplicationObject() instanceof Version &&
+                        decoded.getApplicationObject().minor == 1);
+shouldFail("Invalid object for COTX: " + OBJECT_ID, () => 
+    CBOR.diagnosticNotation('1010(["' + OBJECT_ID + '", 6])'));
+
+// Unregistered object IDs are accepted as is.
+decoded = CBOR.diagnosticNotation('1010(["urn:other", 6])');
+shouldFail("No application object", () => decoded.getApplicationObject());
+shouldFail("No encoder registered for COTX: urn:other", () => 
+    CBOR.Cotx.fromApplication("urn:other", 6));
+CBOR.Cotx.register(OBJECT_ID, null);
+assertTrue("removed", CBOR.diagnosticNotation('1010(["' + OBJECT_ID + '", 6])')
+                          .getObject().getInt() == 6);
+shouldFail("Argument is not a 'string'", () => CBOR.Cotx.register(5, {}));
+
+console.log("COTX OK");
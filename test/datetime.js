@@ -0,0 +1,68 @@
+// Test program for date/time tags 0 and 1
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function dateTime(string, iso) {
+  let cbor = CBOR.DateTime(string).encode();
+  let decoded = CBOR.decode(cbor);
+  assertTrue("dt=" + string, decoded.getDateTime().toISOString() == iso);
+  assertTrue("tag=" + string, decoded.getTagNumber() == 0n);
+  assertTrue("str=" + string, decoded.getTagObject().getString() == string);
+  assertTrue("dn=" + string, CBOR.diagnosticNotation(decoded.toString()).equals(decoded));
+}
+
+dateTime("2013-03-21T20:04:00Z", "2013-03-21T20:04:00.000Z");
+dateTime("2013-03-21t20:04:00.5z", "2013-03-21T20:04:00.500Z");
+dateTime("2013-03-21T20:04:00.123456+01:30", "2013-03-21T18:34:00.123Z");
+dateTime("2013-03-21T20:04:00-08:00", "2013-03-22T04:04:00.000Z");
+dateTime("2016-12-31T23:59:60Z", "2017-01-01T00:00:00.000Z");
+dateTime("2024-02-29T00:00:00Z", "2024-02-29T00:00:00.000Z");
+dateTime("0001-01-01T00:00:00Z", "0001-01-01T00:00:00.000Z");
+
+let date = new Date("2013-03-21T20:04:00.250Z");
+assertTrue("fromDate", CBOR.DateTime(date).toString() == '0("2013-03-21T20:04:00.250Z")');
+assertTrue("fromDate2", CBOR.DateTime(new Date(0)).toString() == '0("1970-01-01T00:00:00Z")');
+assertTrue("hex", CBOR.toHex(CBOR.DateTime("2013-03-21T20:04:00Z").encode()) ==
+    'c074323031332d30332d32315432303a30343a30305a');
+
+["2013-03-21", "2013-03-21T20:04:00", "2013-02-29T20:04:00Z", "2013-13-01T20:04:00Z",
+ "2013-03-21T24:00:00Z", "2013-03-21T20:60:00Z", "2013-03-21T20:04:61Z",
+ "2013-03-21T20:04:00+24:00", "2013-03-21T20:04:00.Z", " 2013-03-21T20:04:00Z"].forEach(bad => {
+  shouldFail("Invalid RFC 3339", () => CBOR.DateTime(bad));
+  shouldFail("Invalid RFC 3339", () => 
+      CBOR.decode(CBOR.Tag(0, CBOR.String(bad)).encode()));
+});
+shouldFail("requires a string", () => CBOR.decode(CBOR.Tag(0, CBOR.Int(5)).encode()));
+shouldFail("Invalid Date", () => CBOR.DateTime(new Date(NaN)));
+
+function epochTime(value, hex, iso) {
+  let cbor = CBOR.EpochTime(value).encode();
+  assertTrue("hex=" + hex, CBOR.toHex(cbor) == hex);
+  let decoded = CBOR.decode(cbor);
+  assertTrue("date=" + hex, decoded.getEpochTime().toISOString() == iso);
+  assertTrue("dn=" + hex, CBOR.diagnosticNotation(decoded.toString()).equals(decoded));
+  return decoded;
+}
+
+epochTime(1363896240, 'c11a514b67b0', "2013-03-21T20:04:00.000Z");
+epochTime(1363896240.5, 'c1fb41d452d9ec200000', "2013-03-21T20:04:00.500Z");
+epochTime(-1.5, 'c1f9be00', "1969-12-31T23:59:58.500Z");
+epochTime(1.001, 'c1fb3ff004189374bc6a', "1970-01-01T00:00:01.001Z");
+assertTrue("sub", epochTime(1.0000015, 'c1fb3ff0000192a73711', 
+                            "1970-01-01T00:00:01.000Z").getEpochSeconds() == 1.0000015);
+assertTrue("fromDate", CBOR.EpochTime(date).toString() == '1(1363896240.25)');
+assertTrue("fromDate2", CBOR.EpochTime(new Date(0)).toString() == '1(0)');
+
+shouldFail("out of range", () => CBOR.EpochTime(8640000000001));
+shouldFail("out of range", () => CBOR.decode(CBOR.Tag(1, CBOR.Float(Number.NaN)).encode()));
+shouldFail("requires an integer", () => CBOR.decode(CBOR.Tag(1, CBOR.String("1")).encode()));
+shouldFail("requires an integer", () => 
+    CBOR.decode(CBOR.Tag(1, CBOR.BigInt(0x10000000000000000n)).encode()));
+shouldFail("CBOR.Int", () => CBOR.Int(1).getDateTime());
+shouldFail("CBOR.DateTime", () => CBOR.DateTime(date).getEpochTime());
+
+// Diagnostic notation tags now work in general.
+assertTrue("dn-tag", CBOR.diagnosticNotation('500([45])').equals(
+    CBOR.Tag(500, CBOR.Array().add(CBOR.Int(45)))));
+shouldFail("Invalid RFC 3339", () => CBOR.diagnosticNotation('0("now")'));
@@ -0,0 +1,51 @@
+// Test program for locating decoding errors
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+
+function locateFail(message, offset, path, hex, options, acceptNonDeterministic) {
+  let cbor = CBOR.fromHex(hex);
+  try {
+    CBOR.decodeExtended(CBOR.initExtended(cbor, false, acceptNonDeterministic, false, options));
+    throw Error("Should not");
+  } catch (error) {
+    if (!error.message.startsWith(message + "\nat offset " + offset + ", path " + path + "\n")) {
+      throw error;
+    }
+    assertTrue("offset", error.offset == offset);
+    assertTrue("path", error.path == path);
+    return error.message.substring(error.message.indexOf('\n', message.length + 1) + 1);
+  }
+}
+
+let excerpt = locateFail("Invalid UTF-8 string", 14, '$[3]{"payload"}[0]',
+                         "84010203a1677061796c6f6164816261ff");
+assertTrue("excerpt", excerpt ==
+  "... 70 61 79 6c 6f 61 64 81 62 61 ff\n" +
+  "                            ^^");
+
+excerpt = locateFail("Reading past end of buffer", 2, "$[1]", "8201");
+assertTrue("end", excerpt == "82 01\n      ^^");
+
+excerpt = locateFail("Unexpected data encountered after CBOR object", 1, "$",
+                     "0102030405060708090a0b0c0d0e0f101112");
+assertTrue("truncated", excerpt == "01 02 03 04 05 06 07 08 09 ...\n   ^^");
+
+locateFail("Invalid UTF-8 string", 1, "${#0}", "a16261ff01");
+locateFail("Non-deterministic order: 1", 4, "${1}", "a2026161016162");
+locateFail("Duplicate: 1", 4, "${1}", "a2016161016162");
+locateFail("Invalid UTF-8 string", 2, "$[1]", "9f016261ffff", {}, true);
+locateFail("Invalid UTF-8 string", 3, "${#1}", "bf01026261ff03ff", {}, true);
+locateFail("Invalid UTF-8 string", 2, "$[0](1)", "81c16261ff");
+locateFail("Tag 37 requires a 16 byte string", 1, "$[0]", "81d8258140");
+locateFail("Exceeded maxStringLength (1): 2", 4, '${{ 1: 2 }}',
+           "a1a101026261ff", {maxStringLength: 1});
+
+// Only the innermost object is located.
+try {
+  CBOR.decode(CBOR.fromHex("8181816261ff"));
+  throw Error("Should not");
+} catch (error) {
+  assertTrue("once", error.message.split("at offset").length == 2 && error.path == "$[0][0][0]");
+}
+
+console.log("Decode errors OK");
@@ -0,0 +1,53 @@
+// Test program for embedded CBOR (tags 24 and 63)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+// Single object.
+let embedded = CBOR.Embedded(CBOR.Array().add(CBOR.Int(1)).add(CBOR.String("x")));
+assertTrue("hex", CBOR.toHex(embedded.encode()) == 'd81844820161' + '78');
+assertTrue("text", embedded.toString() == '24(<<[1, "x"]>>)');
+assertTrue("seq", !embedded.isSequence());
+let decoded = CBOR.decode(embedded.encode());
+assertTrue("type", decoded.constructor == embedded.constructor);
+assertTrue("inner", decoded.getEmbeddedObject().get(1).getString() == "x");
+assertTrue("same", decoded.getEmbeddedObject() === decoded.getEmbeddedObject());
+assertTrue("diag", CBOR.diagnosticNotation('24(<<[1, "x"]>>)').equals(embedded));
+assertTrue("bytes", CBOR.diagnosticNotation('<<[1, "x"]>>').toString() == "h'82016178'");
+
+// Sequences.
+let sequence = CBOR.Embedded([CBOR.Int(1), CBOR.String("a")]);
+assertTrue("shex", CBOR.toHex(sequence.encode()) == 'd83f43016161');
+assertTrue("stext", sequence.toString() == '63(<<1, "a">>)');
+decoded = CBOR.decode(sequence.encode());
+assertTrue("sseq", decoded.isSequence() && decoded.getEmbeddedSequence().length == 2);
+assertTrue("sdiag", CBOR.diagnosticNotation(sequence.toString()).equals(sequence));
+assertTrue("empty", CBOR.diagnosticNotation('63(<< >>)').getEmbeddedSequence().length == 0);
+assertTrue("empty2", CBOR.Embedded([]).toString() == '63(<<>>)');
+shouldFail("holds a sequence", () => decoded.getEmbeddedObject());
+
+// Nested.
+let nested = CBOR.Embedded(CBOR.Embedded(CBOR.Int(5)));
+assertTrue("nested", nested.toString() == '24(<<24(<<5>>)>>)');
+assertTrue("nestedd", CBOR.decode(nested.encode()).getEmbeddedObject()
+                          .getEmbeddedObject().getInt() == 5);
+
+// Invalid content is only detected when accessed.
+decoded = CBOR.decode(CBOR.fromHex('d81842ffff'));
+assertTrue("invalid", decoded.toString() == "24(h'ffff')");
+shouldFail("Unexpected break", () => decoded.getEmbeddedObject());
+shouldFail("Unexpected data", () => CBOR.decode(CBOR.fromHex('d818420102')).getEmbeddedObject());
+shouldFail("requires a byte string", () => CBOR.decode(CBOR.fromHex('d81801')));
+
+// The inner object is decoded using the options of the outer decoder.
+let nonDeterministic = CBOR.fromHex('d818421817');
+shouldFail("Non-deterministic", () => CBOR.decode(nonDeterministic).getEmbeddedObject());
+assertTrue("nd", CBOR.decode(nonDeterministic).toString() == "24(h'1817')");
+decoded = CBOR.decodeExtended(CBOR.initExtended(nonDeterministic, false, true, false));
+assertTrue("lenient", decoded.getEmbeddedObject().getInt() == 23);
+decoded = CBOR.decodeExtended(CBOR.initExtended(nonDeterministic, false, true, false,
+                                                {preserveEncoding: true}));
+assertTrue("preserve", CBOR.toHex(decoded.getEmbeddedObject().encode()) == '1817');
+assertTrue("preservep", CBOR.toHex(decoded.encode()) == 'd818421817');
+
+console.log("Embedded OK");
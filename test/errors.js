@@ -0,0 +1,85 @@
+// Test program for the CBOR.Error family
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+
+function getError(operation) {
+  try {
+    operation();
+  } catch (error) {
+    return error;
+  }
+  throw Error("Should not");
+}
+
+function decodeError(errorClass, code, hex) {
+  let error = getError(() => CBOR.decode(CBOR.fromHex(hex)));
+  assertTrue("class", error instanceof errorClass && error instanceof CBOR.Error);
+  assertTrue("code", error.code == code);
+  assertTrue("offset", Number.isInteger(error.offset) && error.path.startsWith('$'));
+  return error;
+}
+
+decodeError(CBOR.DecodeError, 'UNEXPECTED_END', "8201");
+decodeError(CBOR.DecodeError, 'INVALID_INITIAL_BYTE', "1c");
+decodeError(CBOR.DecodeError, 'UNEXPECTED_BREAK', "ff");
+decodeError(CBOR.DecodeError, 'INVALID_SIMPLE_VALUE', "f801");
+decodeError(CBOR.DecodeError, 'INVALID_UTF8', "62c328");
+decodeError(CBOR.DecodeError, 'TRAILING_DATA', "0102");
+let error = decodeError(CBOR.DecodeError, 'INVALID_CONTENT', "d8258140");
+assertTrue("cause", error.cause instanceof TypeError);
+decodeError(CBOR.DeterminismError, 'NON_DETERMINISTIC', "1817");
+decodeError(CBOR.DeterminismError, 'NON_DETERMINISTIC', "fa3f800000");
+decodeError(CBOR.DeterminismError, 'NON_DETERMINISTIC', "a2026161016162");
+decodeError(CBOR.DeterminismError, 'NON_DETERMINISTIC', "9fff");
+error = decodeError(CBOR.DuplicateKeyError, 'DUPLICATE_KEY', "a2016161016162");
+assertTrue("key", error.key.equals(CBOR.Int(1)) && error.offset == 4 && error.path == "${1}");
+
+error = getError(() => CBOR.decodeExtended(
+    CBOR.initExtended(CBOR.fromHex("9f01ff"), false, true, false, {maxContainerSize: 0})));
+assertTrue("limit", error instanceof CBOR.LimitError && error instanceof CBOR.DecodeError);
+assertTrue("limit code", error.code == 'LIMIT_EXCEEDED' && error.limit == 'maxContainerSize');
+
+error = getError(() => CBOR.Map().set(CBOR.Int(1), CBOR.Int(2)).set(CBOR.Int(1), CBOR.Int(3)));
+assertTrue("duplicate", error instanceof CBOR.DuplicateKeyError && error.key.equals(CBOR.Int(1)));
+assertTrue("no offset", error.offset === undefined);
+assertTrue("name", error.toString() == "DuplicateKeyError: Duplicate: 1");
+
+error = getError(() => CBOR.Map().get(CBOR.String("a")));
+assertTrue("missing", error instanceof CBOR.MissingKeyError && error.code == 'MISSING_KEY');
+assertTrue("missing key",
+           error.key.equals(CBOR.String("a")) && error.message == 'Missing key: "a"');
+
+error = getError(() => CBOR.Set(CBOR.Array()).add(CBOR.Int(5)).add(CBOR.Int(5)));
+assertTrue("set", error instanceof CBOR.DuplicateKeyError && error.message == "Duplicate: 5");
+error = getError(() => CBOR.Set(CBOR.Array()).remove(CBOR.Int(5)));
+assertTrue("set", error instanceof CBOR.MissingKeyError && error.message == "Missing element: 5");
+
+error = getError(() => CBOR.Writer(false).end());
+assertTrue("writer", error instanceof CBOR.EncodeError && error.code == 'NO_OPEN_ITEM');
+error = getError(() => CBOR.Writer(true).beginMap(2).writeInt(2).writeInt(0).writeInt(1));
+assertTrue("writer", error instanceof CBOR.DeterminismError && error.code == 'NON_DETERMINISTIC');
+
+let cyclic = CBOR.Array();
+cyclic.add(cyclic);
+error = getError(() => cyclic.encode());
+assertTrue("circular", error instanceof CBOR.EncodeError && error.code == 'CIRCULAR_REFERENCE');
+error = getError(() => CBOR.pack(CBOR.Simple(0)));
+assertTrue("pack", error instanceof CBOR.EncodeError && error.code == 'NOT_PACKABLE');
+
+error = getError(() => CBOR.diagnosticNotation("[1,\n 2 x]"));
+assertTrue("diagnostic", error instanceof CBOR.DiagnosticSyntaxError);
+assertTrue("compatible", error instanceof SyntaxError && error instanceof CBOR.Error);
+assertTrue("not decode", !(error instanceof CBOR.DecodeError));
+assertTrue("diagnostic", error.code == 'DIAGNOSTIC_SYNTAX' && error.line == 2 && error.column == 4);
+assertTrue("reason", error.reason == "Expected: ']' actual: 'x'");
+
+// Invalid arguments are not CBOR errors.
+error = getError(() => CBOR.Int("1"));
+assertTrue("argument", error instanceof TypeError && !(error instanceof CBOR.Error));
+error = getError(() => CBOR.IPPrefix(52, CBOR.Array().add(CBOR.Int(8))
+                                                     .add(CBOR.Bytes(new Uint8Array([10, 0])))));
+assertTrue("prefix", error instanceof RangeError);
+error = getError(() => CBOR.Tag(5000, CBOR.Int(1)).getApplicationObject());
+assertTrue("application", error instanceof TypeError);
+
+console.log("Errors OK");
@@ -0,0 +1,40 @@
+// Test program for floating point values with a fixed width
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function oneTurn(factory, value, hex, dn) {
+  let cborFloat = factory(value);
+  assertTrue("enc=" + hex, CBOR.toHex(cborFloat.encode()) == hex);
+  assertTrue("str=" + hex, cborFloat.toString() == dn);
+  assertTrue("dn=" + hex, CBOR.toHex(CBOR.diagnosticNotation(dn).encode()) == hex);
+  assertTrue("val=" + hex, Object.is(cborFloat.getFloat(), value));
+  let decoder = CBOR.initExtended(cborFloat.encode(), false, true, false, 
+                                  {preserveEncoding: true});
+  let decoded = CBOR.decodeExtended(decoder);
+  assertTrue("pres=" + hex, decoded.toString() == dn);
+  assertTrue("width=" + hex, decoded.getWidth() == cborFloat.getWidth());
+}
+
+function badOne(factory, value) {
+  shouldFail("cannot be represented", () => factory(value));
+}
+
+oneTurn(CBOR.Float16, 1.5, 'f93e00', '1.5');
+oneTurn(CBOR.Float32, 1.5, 'fa3fc00000', '1.5_2');
+oneTurn(CBOR.Float64, 1.5, 'fb3ff8000000000000', '1.5_3');
+oneTurn(CBOR.Float32, 10.559998512268066, 'fa4128f5c1', '10.559998512268066');
+oneTurn(CBOR.Float64, 10.559998512268066, 'fb40251eb820000000', '10.559998512268066_3');
+oneTurn(CBOR.Float64, 45.7, 'fb4046d9999999999a', '45.7');
+oneTurn(CBOR.Float32, 0.0, 'fa00000000', '0.0_2');
+oneTurn(CBOR.Float64, Number.NEGATIVE_INFINITY, 'fbfff0000000000000', '-Infinity_3');
+oneTurn(CBOR.Float32, Number.NaN, 'fa7fc00000', "float'7fc00000'");
+
+badOne(CBOR.Float16, 10.559998512268066);
+badOne(CBOR.Float16, 45.7);
+badOne(CBOR.Float32, 45.7);
+
+assertTrue("type", CBOR.Float32(2.0) instanceof CBOR.Float);
+
+// Fixed widths are not deterministic.
+shouldFail("Non-deterministic", () => CBOR.decode(CBOR.Float32(2.0).encode()));
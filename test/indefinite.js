@@ -0,0 +1,38 @@
+// Test program for indefinite length items
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function decodeNonDeterministic(hex) {
+  return CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex(hex), false, true, false));
+}
+
+function oneTurn(hex, dn) {
+  shouldFail("Non-d", () => CBOR.decode(CBOR.fromHex(hex)));
+  let object = decodeNonDeterministic(hex);
+  assertTrue("dn=" + dn, object.toString() == dn);
+  assertTrue("rt=" + dn, object.equals(CBOR.decode(object.encode())));
+}
+
+function badOne(hex, message) {
+  shouldFail(message, () => decodeNonDeterministic(hex));
+}
+
+oneTurn('5f42010243030405ff', "h'0102030405'");
+oneTurn('5fff', "h''");
+oneTurn('7f657374726561646d696e67ff', '"streaming"');
+oneTurn('7f62c3a46162ff', '"äb"');
+oneTurn('9f018202039f0405ffff', '[1, [2, 3], [4, 5]]');
+oneTurn('9fff', '[]');
+oneTurn('bf61610161629f0203ffff', '{\n  "a": 1,\n  "b": [2, 3]\n}');
+oneTurn('bf0201ff', '{\n  2: 1\n}');
+
+badOne('5f4101610aff', 'Invalid chunk');
+badOne('5f5f4101ffff', 'Invalid chunk');
+badOne('7f4101ff', 'Invalid chunk');
+badOne('7f6162', 'past end');
+badOne('8201ff', 'Unexpected break');
+badOne('bf01ff', 'Unexpected break');
+badOne('ff', 'Unexpected break');
+badOne('1f', 'Unsupported tag');
+badOne('df', 'Unsupported tag');
@@ -0,0 +1,102 @@
+// Test program for IP address and prefix tags (52 and 54)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function oneAddress(text, expected, hex) {
+  let address = CBOR.IPAddress(text);
+  assertTrue("text=" + text, address.getAddress() == expected);
+  assertTrue("hex=" + text, CBOR.toHex(address.encode()) == hex);
+  let decoded = CBOR.decode(address.encode());
+  assertTrue("dec=" + text, decoded instanceof CBOR.IPAddress && decoded.getAddress() == expected);
+  assertTrue("diag=" + text, CBOR.diagnosticNotation(decoded.toString()).equals(address));
+}
+
+oneAddress("192.0.2.1", "192.0.2.1", "d83444c0000201");
+oneAddress("0.0.0.0", "0.0.0.0", "d8344400000000");
+oneAddress("::", "::", "d8365000000000000000000000000000000000");
+oneAddress("::1", "::1", "d8365000000000000000000000000000000001");
+oneAddress("2001:DB8:0:0:0:0:0:1", "2001:db8::1", "d8365020010db8000000000000000000000001");
+oneAddress("2001:db8:0:0:1:0:0:1", "2001:db8::1:0:0:1", "d8365020010db8000000000001000000000001");
+oneAddress("1:0:0:2:0:0:0:3", "1:0:0:2::3", "d8365000010000000000020000000000000003");
+oneAddress("1:0:2:3:4:5:6:7", "1:0:2:3:4:5:6:7", "d8365000010000000200030004000500060007");
+oneAddress("::ffff:c000:201", "::ffff:192.0.2.1", "d8365000000000000000000000ffffc0000201");
+oneAddress("fe80::", "fe80::", "d83650fe800000000000000000000000000000");
+
+let address = CBOR.IPAddress(CBOR.fromHex('c0000201'));
+assertTrue("v4", address.getVersion() == 4 && address.toString() == "ip'192.0.2.1'");
+assertTrue("v6", CBOR.IPAddress("::1").getVersion() == 6);
+
+["1.2.3", "01.2.3.4", "256.1.1.1", "1.2.3.4.", "1:2:3:4:5:6:7:8:9", "1::2::3", ":1", "1:",
+ "1:2:3:4:5:6:7::8", "1:2:3:4:5:6:7", "g::", "12345::", "1.2.3.4::", "fe80::1%eth0"].forEach(text =>
+  shouldFail("Invalid IP address: " + text, () => CBOR.IPAddress(text)));
+shouldFail("4 or 16 byte", () => CBOR.IPAddress(new Uint8Array(5)));
+shouldFail("4 or 16 byte", () => CBOR.IPAddress(CBOR.Int(5)));
+shouldFail("Tag 54 has an invalid address length", () =>
+    CBOR.decode(CBOR.fromHex('d8364400000000')));
+shouldFail("Tag 52 has an invalid address length", () =>
+    CBOR.decode(CBOR.fromHex('d8345000000000000000000000000000000000')));
+
+function onePrefix(cidr, hex) {
+  let prefix = CBOR.IPPrefix.fromCIDR(cidr);
+  assertTrue("cidr=" + cidr, prefix.getCIDR() == cidr);
+  assertTrue("hex=" + cidr, CBOR.toHex(prefix.encode()) == hex);
+  let decoded = CBOR.decode(prefix.encode());
+  assertTrue("dec=" + cidr, decoded instanceof CBOR.IPPrefix && decoded.getCIDR() == cidr);
+  assertTrue("str=" + cidr, decoded.toString() == "ip'" + cidr + "'");
+  assertTrue("diag=" + cidr, CBOR.diagnosticNotation(decoded.toString()).equals(prefix));
+  return prefix;
+}
+
+let prefix = onePrefix("192.0.2.0/24", "d83482181843c00002");
+assertTrue("len", prefix.getPrefixLength() == 24 && prefix.getVersion() == 4);
+assertTrue("addr", prefix.getAddress().equals(CBOR.IPAddress("192.0.2.0")));
+onePrefix("0.0.0.0/0", "d834820040");
+onePrefix("10.0.0.0/7", "d834820741" + "0a");
+onePrefix("2001:db8:1230::/44", "d83682182c4620010db81230");
+onePrefix("::/128", "d8368218804" + "0");
+onePrefix("fe80::/10", "d836820a42fe80");
+assertTrue("pair", CBOR.IPPrefix(CBOR.IPAddress("10.0.0.0"), 8).getCIDR() == "10.0.0.0/8");
+assertTrue("bin", CBOR.IPPrefix(new Uint8Array([10, 0, 0, 0]), 8).getCIDR() == "10.0.0.0/8");
+
+shouldFail("Invalid CIDR notation", () => CBOR.IPPrefix.fromCIDR("10.0.0.0"));
+shouldFail("Invalid CIDR notation", () => CBOR.IPPrefix.fromCIDR("10.0.0.0/08"));
+shouldFail("Invalid IP prefix length: 33", () => CBOR.IPPrefix.fromCIDR("10.0.0.0/33"));
+shouldFail("Invalid IP prefix length: 129", () => CBOR.IPPrefix.fromCIDR("::/129"));
+shouldFail("bits set beyond the prefix length", () => CBOR.IPPrefix.fromCIDR("10.1.0.0/8"));
+shouldFail("bits set beyond the prefix length", () => CBOR.IPPrefix.fromCIDR("10.64.0.0/9"));
+// RFC 9164 decoding rules.
+shouldFail("must not have trailing zero bytes", () =>
+    CBOR.decode(CBOR.fromHex('d8348218184400000000')));
+shouldFail("must not have trailing zero bytes", () =>
+    CBOR.decode(CBOR.fromHex('d834821818430a0000')));
+shouldFail("bits set beyond the prefix length", () =>
+    CBOR.decode(CBOR.fromHex('d83482181844c0000201')));
+shouldFail("bits set beyond the prefix length", () =>
+    CBOR.decode(CBOR.fromHex('d834820043c00002')));
+shouldFail("bits set beyond the prefix length", () =>
+    CBOR.decode(CBOR.fromHex('d83482174301020f')));
+shouldFail("Invalid IP prefix length: 33", () => CBOR.decode(CBOR.fromHex('d8348218214101')));
+shouldFail("prefix length, byte string", () => CBOR.decode(CBOR.fromHex('d836821830f6')));
+shouldFail("prefix length, byte string", () => CBOR.decode(CBOR.fromHex('d83683003040f6')));
+
+// Diagnostic notation.
+let cborObject = CBOR.diagnosticNotation("[ip'192.0.2.1', ip'2001:db8::/32', 52(h'c0000201')]");
+assertTrue("edn", cborObject.toString() == "[ip'192.0.2.1', ip'2001:db8::/32', ip'192.0.2.1']");
+assertTrue("ednp", cborObject.get(1) instanceof CBOR.IPPrefix);
+assertTrue("print", CBOR.Array().add(CBOR.IPPrefix.fromCIDR("10.0.0.0/8")).toString() ==
+                    "[ip'10.0.0.0/8']");
+shouldFail("Invalid IP address: 1.2.3", () => CBOR.diagnosticNotation("ip'1.2.3'"));
+shouldFail("bits set beyond", () => CBOR.diagnosticNotation("ip'10.1.0.0/8'"));
+shouldFail("line 1. SyntaxError: Invalid IP address: 1.2.3",
+           () => CBOR.diagnosticNotation("ip'1.2.3'"));
+shouldFail("line 2. RangeError", () => CBOR.diagnosticNotation("[1,\n ip'1.2.3.4/33']"));
+
+// Interface format and zone identifiers are returned as plain tags.
+cborObject = CBOR.diagnosticNotation("52([h'c0000201', 24])");
+assertTrue("interface",
+           !(cborObject instanceof CBOR.IPAddress || cborObject instanceof CBOR.IPPrefix));
+cborObject = CBOR.diagnosticNotation('54([h\'fe800000000000000000000000000001\', null, "eth0"])');
+assertTrue("zone", cborObject.toString().startsWith("54(["));
+
+console.log("IP tags OK");
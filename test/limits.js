@@ -0,0 +1,82 @@
+// Test program for decoder resource limits
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function decode(hexOrBinary, options) {
+  let cbor = typeof hexOrBinary == 'string' ? CBOR.fromHex(hexOrBinary) : hexOrBinary;
+  return CBOR.decodeExtended(CBOR.initExtended(cbor, false, true, false, options));
+}
+
+function limitFail(limit, maximum, value, hexOrBinary, options) {
+  try {
+    decode(hexOrBinary, options);
+    throw Error("Should not");
+  } catch (error) {
+    if (!(error instanceof CBOR.LimitError)) {
+      throw error;
+    }
+    assertTrue("name", error.name == "LimitError" && error.limit == limit);
+    assertTrue("values", error.maximum == maximum && error.value == value);
+    assertTrue("message",
+               error.message.startsWith("Exceeded " + limit + " (" + maximum + "): " + value));
+  }
+}
+
+function nested(depth) {
+  let cbor = new Uint8Array(depth + 1).fill(0x81);
+  cbor[depth] = 0x01;
+  return cbor;
+}
+
+// Nesting depth, including the default limit.
+assertTrue("depth", decode(nested(499)).encode().length == 500);
+limitFail("maxNestingDepth", 500, 501, nested(500));
+limitFail("maxNestingDepth", 500, 501, nested(100000));
+shouldFail("Exceeded maxNestingDepth (500)", () => CBOR.decode(nested(600)));
+assertTrue("deeper", decode(nested(1000), {maxNestingDepth: 1001}).encode().length == 1001);
+limitFail("maxNestingDepth", 3, 4, "818181818101", {maxNestingDepth: 3});
+limitFail("maxNestingDepth", 3, 4, "c1c1c101", {maxNestingDepth: 3});
+limitFail("maxNestingDepth", 2, 3, "a1018101", {maxNestingDepth: 2});
+assertTrue("flat", decode("8301020a", {maxNestingDepth: 2}).size() == 3);
+
+// Input length.
+limitFail("maxInputLength", 3, 4, "83010203", {maxInputLength: 3});
+assertTrue("input", decode("83010203", {maxInputLength: 4}).size() == 3);
+
+// String lengths are checked before reading, also for indefinite length strings.
+limitFail("maxStringLength", 2, 3, "63616263", {maxStringLength: 2});
+limitFail("maxStringLength", 2, 3, "43010203", {maxStringLength: 2});
+limitFail("maxStringLength", 10, 0xffffffff, "5affffffff", {maxStringLength: 10});
+limitFail("maxStringLength", 2, 3, "7f6161626262ff", {maxStringLength: 2});
+limitFail("maxStringLength", 3, 4, "5f42010242ffffff", {maxStringLength: 3});
+limitFail("maxStringLength", 3, 4, "64c3a4c3a4", {maxStringLength: 3});
+assertTrue("string", decode("7f6161626262ff", {maxStringLength: 3}).getString() == "abb");
+
+// Container sizes.
+limitFail("maxContainerSize", 2, 3, "83010203", {maxContainerSize: 2});
+limitFail("maxContainerSize", 2, 3, "9f010203ff", {maxContainerSize: 2});
+limitFail("maxContainerSize", 1, 2, "a201020304", {maxContainerSize: 1});
+limitFail("maxContainerSize", 1, 2, "bf01020304ff", {maxContainerSize: 1});
+limitFail("maxContainerSize", 1000, 0xffffffff, "9affffffff", {maxContainerSize: 1000});
+assertTrue("container", decode("a201020304", {maxContainerSize: 2}).size() == 2);
+
+// Big integers.
+limitFail("maxBigIntLength", 8, 9, "c249010000000000000000", {maxBigIntLength: 8});
+limitFail("maxBigIntLength", 8, 9, "c349010000000000000000", {maxBigIntLength: 8});
+assertTrue("bigint", decode("c249010000000000000000", {maxBigIntLength: 9}).getBigInt() ==
+                     0x10000000000000000n);
+
+// Limits apply to embedded CBOR as well.
+let embedded = decode("d8184483010203", {maxContainerSize: 2});
+shouldFail("Exceeded maxContainerSize (2): 3", () => embedded.getEmbeddedObject());
+
+// Claimed lengths beyond the input do not allocate memory.
+shouldFail("Reading past end of buffer", () => CBOR.decode(CBOR.fromHex("5affffffff")));
+shouldFail("Reading past end of buffer", () => CBOR.decode(CBOR.fromHex("7a7fffffff61")));
+shouldFail("Length limited to 0xffffffff", () => decode("5b0000000100000000"));
+
+shouldFail("Negative maxStringLength: -1", () => decode("01", {maxStringLength: -1}));
+shouldFail("Argument is not a 'number'", () => decode("01", {maxContainerSize: "10"}));
+
+console.log("Limits OK");
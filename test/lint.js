@@ -0,0 +1,80 @@
+// Test program for CBOR.lint()
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function lint(hex) {
+  return CBOR.lint(CBOR.fromHex(hex));
+}
+
+function violation(violation, offset, path, rule, message, found, expected) {
+  assertTrue("offset", violation.offset == offset && violation.path == path);
+  assertTrue("rule", violation.rule == rule && violation.message == message);
+  assertTrue("found", violation.found == found && violation.expected == expected);
+}
+
+// Deterministic input.
+assertTrue("clean", lint("a201f93c00626869d90102820102").length == 0);
+
+let violations = lint("1900ff");
+assertTrue("single", violations.length == 1);
+violation(violations[0], 0, "$", 'preferred-serialization',
+          "Non-deterministic N encoding for tag: 0x19", "1900ff", "18ff");
+
+// [_ 1(0), 1.0 as float32, 2(h'01'), {1: 2, 1: 3}, 258([2, 1, 3])]
+violations = lint("9fd80100fa3f800000c24101a201020103d9010283020103ff");
+assertTrue("all", violations.length == 6);
+violation(violations[0], 0, "$", 'indefinite-length',
+          "Non-deterministic indefinite length encoding for tag: 0x9f",
+          "9fd80100fa3f800000c24101a201020103d9010283020103ff",
+          "85c100f93c0001a10102d9010283010203");
+violation(violations[1], 1, "$[0]", 'preferred-serialization',
+          "Non-deterministic N encoding for tag: 0xd8", "d80100", "c100");
+violation(violations[2], 4, "$[1]", 'float-width',
+          "Non-deterministic encoding of: 1", "fa3f800000", "f93c00");
+violation(violations[3], 9, "$[2]", 'bignum',
+          "Non-deterministic big integer encoding", "c24101", "01");
+violation(violations[4], 15, "$[3]{1}", 'duplicate-key', "Duplicate: 1", "0103", null);
+violation(violations[5], 17, "$[4]", 'set-order',
+          "Non-deterministic order: 1", "d9010283020103", "d9010283010203");
+
+// Map order is reported at the map, once per misplaced key.
+violations = lint("a3036161026162016163");
+assertTrue("order", violations.length == 2);
+violation(violations[0], 0, "$", 'map-order', 'Non-deterministic order: 2',
+          "a3036161026162016163", "a3016163026162036161");
+assertTrue("order", violations[1].message == "Non-deterministic order: 1");
+
+// Duplicate set elements are reported at the set, keeping the first one.
+violations = lint("d90102820101");
+assertTrue("set", violations.length == 1);
+violation(violations[0], 0, "$", 'duplicate-key', "Duplicate: 1", "d90102820101", "d901028101");
+violations = lint("d9010283020102");
+assertTrue("set", violations.length == 2 && violations[1].rule == 'set-order');
+violation(violations[0], 0, "$", 'duplicate-key', "Duplicate: 2",
+          "d9010283020102", "d90102820102");
+
+// Shared values may be cyclic: 28([_ 29(0)]).
+violations = CBOR.lint(CBOR.fromHex("d81c9fd81d00ff"), {valueSharing: true});
+violation(violations[0], 2, "$", 'indefinite-length',
+          "Non-deterministic indefinite length encoding for tag: 0x9f",
+          "9fd81d00ff", "d81c81d81d00");
+
+// NaN with a needlessly wide significand.
+violations = lint("81fa7fc00000");
+violation(violations[0], 1, "$[0]", 'float-width',
+          "Non-deterministic encoding of: NaN", "fa7fc00000", "f97e00");
+
+// The same rules are reported by DeterminismError.
+try {
+  CBOR.decode(CBOR.fromHex("a202010102"));
+  throw Error("Should not");
+} catch (error) {
+  assertTrue("error", error instanceof CBOR.DeterminismError && error.rule == 'map-order');
+}
+
+// Malformed data is not linted.
+shouldFail("Reading past end of buffer", () => lint("8201"));
+shouldFail("Exceeded maxStringLength", () => CBOR.lint(CBOR.fromHex("6161"), {maxStringLength: 0}));
+
+console.log("Lint OK");
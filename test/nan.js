@@ -0,0 +1,46 @@
+// Test program for NaN significands (payloads)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function oneTurn(significand, width, hex) {
+  let nan = CBOR.Float.createNaN(significand, width);
+  assertTrue("enc=" + hex, CBOR.toHex(nan.encode()) == hex);
+  assertTrue("nan=" + hex, Number.isNaN(nan.getFloat()));
+  let decoded = CBOR.decode(nan.encode());
+  assertTrue("sig=" + hex, decoded.getNaNSignificand() == significand);
+  assertTrue("width=" + hex, decoded.getWidth() == width);
+  assertTrue("dn=" + hex, CBOR.diagnosticNotation(decoded.toString()).equals(decoded));
+  return decoded;
+}
+
+function nonDeterministic(hex, shortestHex) {
+  shouldFail("Non-d", () => CBOR.decode(CBOR.fromHex(hex)));
+  let decoder = CBOR.initExtended(CBOR.fromHex(hex), false, true, false);
+  assertTrue("short=" + hex, CBOR.toHex(CBOR.decodeExtended(decoder).encode()) == shortestHex);
+}
+
+assertTrue("default", oneTurn(0x200, 16, 'f97e00').toString() == 'NaN');
+assertTrue("payload", oneTurn(0x201, 16, 'f97e01').toString() == "float'7e01'");
+oneTurn(1, 16, 'f97c01');
+oneTurn(-0x200, 16, 'f9fe00');
+oneTurn(0x400001, 32, 'fa7fc00001');
+oneTurn(-1, 32, 'faff800001');
+oneTurn(0x8000000000001, 64, 'fb7ff8000000000001');
+oneTurn(0xfffffffffffff, 64, 'fb7fffffffffffffff');
+oneTurn(-0x10000000, 64, 'fbfff0000010000000');
+
+nonDeterministic('fa7fc00000', 'f97e00');
+nonDeterministic('fa7f802000', 'f97c01');
+nonDeterministic('fb7ff0000020000000', 'fa7f800001');
+nonDeterministic('fbfff8000000000000', 'f9fe00');
+
+// Explicit widths are honored when encoding.
+assertTrue("width", CBOR.toHex(CBOR.Float.createNaN(0x400000, 32).encode()) == 'fa7fc00000');
+assertTrue("dn", CBOR.toHex(CBOR.diagnosticNotation("float'7fc00000'").encode()) == 'fa7fc00000');
+
+[[0, 16, "out of range"], [0x400, 16, "out of range"], [0x800000, 32, "out of range"],
+ [2 ** 52, 64, "out of range"], [1, 8, "Unsupported width"], [1.5, 16, "not an integer"]]
+    .forEach(args => shouldFail(args[2], () => CBOR.Float.createNaN(args[0], args[1])));
+
+shouldFail("Not a NaN", () => CBOR.Float(1.0).getNaNSignificand());
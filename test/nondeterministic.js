@@ -23,7 +23,7 @@ oneTurn('1817', '23');
 oneTurn('A2026374776F01636F6E65', '{\n  1: "one",\n  2: "two"\n}');
 oneTurn('FB7FF8000000000000', 'NaN');
 oneTurn('FB3ff0000000000000', '1.0');
-oneTurn('f97e01', 'NaN');
+oneTurn('fa7fc00000', 'NaN');
 oneTurn('c240', '0');
 
 // This one is actually deterministic...
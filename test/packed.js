@@ -0,0 +1,168 @@
+// Test program for Packed CBOR (tags 113, 6 and simple value references)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function unpack(diagnostic) {
+  return CBOR.unpack(CBOR.diagnosticNotation(diagnostic)).toString();
+}
+
+function decodeUnpacked(cbor) {
+  return CBOR.decodeExtended(CBOR.initExtended(cbor, false, false, false, {unpackCBOR: true}));
+}
+
+// Unpacking.
+assertTrue("shared", unpack('113([["foo", {"a": 1}], [], [simple(0), simple(1), simple(0)]])') ==
+    '["foo", {\n  "a": 1\n}, "foo"]');
+let shared = CBOR.Array();
+for (let q = 0; q < 20; q++) {
+  shared.add(CBOR.Int(q + 100));
+}
+let tables = CBOR.Array().add(shared).add(CBOR.Array());
+assertTrue("tag6", CBOR.unpack(CBOR.Tag(113, tables.add(CBOR.diagnosticNotation(
+    '[simple(15), 6(0), 6(-1), 6(1), 6(-2)]')))).toString() == "[115, 116, 117, 118, 119]");
+assertTrue("straight", unpack('113([[], ["http://example.com/"], [6("a"), 224("b")]])') ==
+    '["http://example.com/a", "http://example.com/b"]');
+assertTrue("index", unpack('113([[], ["a", "b"], 225("c")])') == '"bc"');
+assertTrue("inverted", unpack('113([[], [".example.com"], 216("www")])') == '"www.example.com"');
+assertTrue("bytes", unpack("113([[], [h'0102'], 6(h'03')])") == "h'010203'");
+assertTrue("array", unpack('113([[], [[1, 2]], 6([3])])') == "[1, 2, 3]");
+assertTrue("map", unpack('113([[], [{"a": 1}], 6({"b": 2})])') == '{\n  "a": 1,\n  "b": 2\n}');
+// References inside tables and nested table setups.
+assertTrue("nested", unpack('113([["x", [simple(0), simple(0)]], [], simple(1)])') == '["x", "x"]');
+assertTrue("inner", unpack('113([["outer"], [], 113([["inner"], [], [simple(0), simple(1)]])])') ==
+    '["inner", "outer"]');
+assertTrue("scope", unpack('113([["outer", simple(0)], [], 113([["inner"], [], simple(2)])])') ==
+    '"outer"');
+// Typed tags are created after unpacking.
+let uuid = decodeUnpacked(CBOR.fromHex('d8718381500123456789abcdef0123456789abcdef80d825e0'));
+assertTrue("uuid", uuid instanceof CBOR.UUID);
+assertTrue("uuidstr", uuid.getUUID() == "01234567-89ab-cdef-0123-456789abcdef");
+shouldFail("16 byte string", () =>
+    CBOR.decode(CBOR.fromHex('d8718381500123456789abcdef0123456789abcdef80d825e0')));
+let deep = CBOR.Array();
+for (let q = 0; q < 200; q++) {
+  deep = CBOR.Array().add(deep);
+}
+assertTrue("deep", CBOR.unpack(deep) === deep);
+let plain = CBOR.diagnosticNotation('[1, {"a": "b"}, 1(5)]');
+assertTrue("same", CBOR.unpack(plain) === plain);
+
+shouldFail("reference out of range: 3", () => unpack('simple(3)'));
+shouldFail("shared item reference out of range: 17", () => unpack('113([["a"], [], 6(-1)])'));
+shouldFail("argument reference out of range: 1", () => unpack('113([[], ["a"], 225("b")])'));
+shouldFail("reference depth limit exceeded", () => unpack('113([[simple(0)], [], simple(0)])'));
+shouldFail("cannot concatenate", () => unpack('113([[], ["a"], 6(h\'00\')])'));
+shouldFail("cannot concatenate", () => unpack('113([[], [5], 6(true)])'));
+shouldFail("Tag syntax 113", () => unpack('113([[], []])'));
+shouldFail("Tag syntax 113", () => unpack('113([[], {}, 1])'));
+let error = null;
+let decoder = CBOR.initExtended(CBOR.fromHex("01d8718100"), true, false, false, {unpackCBOR: true});
+try {
+  CBOR.decodeExtended(decoder);
+  CBOR.decodeExtended(decoder);
+} catch (e) {
+  error = e;
+}
+assertTrue("decode error", error instanceof CBOR.DecodeError && error.code == 'INVALID_PACKED');
+assertTrue("located", error.offset == 1 && error.path == '$' && error.message.includes("^^"));
+try {
+  CBOR.unpack(CBOR.diagnosticNotation('simple(3)'));
+} catch (e) {
+  error = e;
+}
+assertTrue("reference", error.code == 'PACKED_REFERENCE' && error.offset === undefined);
+
+// Packing.
+let sensors = CBOR.diagnosticNotation(`[
+  {"name": "sensor-temperature-01", "unit": "celsius", "site": "https://example.com/building-a"},
+  {"name": "sensor-temperature-02", "unit": "celsius", "site": "https://example.com/building-b"},
+  {"name": "sensor-humidity-01", "unit": "percent", "site": "https://example.com/building-a"},
+  {"name": "sensor-humidity-02", "unit": "percent", "site": "https://example.com/building-c"}
+]`);
+let packed = CBOR.pack(sensors);
+assertTrue("113", packed.getTagNumber() == CBOR.Tag.RESERVED_TAG_PACKED_TABLES);
+assertTrue("smaller", packed.encode().length < sensors.encode().length * 2 / 3);
+assertTrue("unpack", CBOR.unpack(packed).equals(sensors));
+assertTrue("decode", decodeUnpacked(packed.encode()).equals(sensors));
+assertTrue("raw", CBOR.decode(packed.encode()).equals(packed));
+let tableItems = packed.getTagObject().get(0).toArray().map(item => item.toString());
+assertTrue("keys", tableItems.includes('"name"') && tableItems.includes('"celsius"'));
+let prefixes = packed.getTagObject().get(1).toArray().map(item => item.getString());
+assertTrue("prefix", prefixes.includes("https://example.com/building-"));
+
+// Beyond 16 shared items and 32 prefixes.
+let strings = CBOR.Array();
+for (let q = 0; q < 40; q++) {
+  let string = "repeated-string-" + q;
+  strings.add(CBOR.String(string)).add(CBOR.String(string)).add(CBOR.String(string));
+  strings.add(CBOR.String("prefix-" + q + "-unique-text-a"));
+  strings.add(CBOR.String("prefix-" + q + "-unique-text-b"));
+}
+packed = CBOR.pack(strings);
+assertTrue("big", packed.encode().length < strings.encode().length / 2);
+assertTrue("bigunpack", decodeUnpacked(packed.encode()).equals(strings));
+assertTrue("many", packed.getTagObject().get(0).size() == 40 &&
+                   packed.getTagObject().get(1).size() > 32);
+
+let unique = CBOR.diagnosticNotation('{"a": [1, 2.5, h\'00\'], "b": 1(1)}');
+assertTrue("nothing", CBOR.pack(unique).toString() == "113([[], [], " + unique.toString() + "])");
+assertTrue("self", CBOR.unpack(CBOR.pack(unique)).equals(unique));
+shouldFail("Cannot pack object containing: simple(3)", () =>
+    CBOR.pack(CBOR.Array().add(CBOR.Simple(3))));
+shouldFail("Cannot pack object containing: 6(1)", () => CBOR.pack(CBOR.Tag(6, CBOR.Int(1))));
+shouldFail("Cannot pack object containing: 113(", () => CBOR.pack(CBOR.pack(sensors)));
+// Typed tags are shared as a whole.
+let dates = CBOR.Array().add(CBOR.DateTime("2025-01-01T00:00:00Z"))
+                        .add(CBOR.DateTime("2025-01-01T00:00:00Z"))
+                        .add(CBOR.EpochTime(1000000)).add(CBOR.Tag(1000, CBOR.Int(1000000)));
+packed = CBOR.pack(dates);
+assertTrue("typed", packed.getTagObject().get(0).get(0) instanceof CBOR.DateTime);
+assertTrue("int", packed.getTagObject().get(0).size() == 1);
+assertTrue("typedback", decodeUnpacked(packed.encode()).get(1) instanceof CBOR.DateTime);
+assertTrue("typeddec", CBOR.decode(packed.encode()).getTagObject().get(0).get(0) instanceof
+                       CBOR.DateTime);
+shouldFail("Cannot pack object containing: simple(0)", () =>
+    CBOR.pack(CBOR.Cotx("oid", CBOR.Simple(0))));
+// Simple values beyond the reference range are fine.
+assertTrue("simple", CBOR.unpack(CBOR.pack(CBOR.Simple(16))).equals(CBOR.Simple(16)));
+
+// Limits apply to the expanded result.
+function limitFail(limit, diagnostic, options) {
+  let cbor = CBOR.diagnosticNotation(diagnostic).encode();
+  options = Object.assign({unpackCBOR: true}, options);
+  try {
+    CBOR.decodeExtended(CBOR.initExtended(cbor, false, false, false, options));
+    throw Error("Should not");
+  } catch (error) {
+    if (!(error instanceof CBOR.LimitError)) {
+      throw error;
+    }
+    assertTrue("limit " + limit, error.limit == limit);
+  }
+}
+// Each level holds 100 references to the next one, giving 10^6 items.
+let levels = [];
+for (let q = 0; q < 3; q++) {
+  levels.push("[" + Array(100).fill("simple(" + (q + 1) + ")").join(", ") + "]");
+}
+let bomb = "113([[" + levels.join(", ") + ', "x"], [], simple(0)])';
+limitFail("maxUnpackedSize", bomb,
+          {maxInputLength: 1000, maxContainerSize: 100, maxNestingDepth: 10});
+limitFail("maxUnpackedSize", bomb, {maxUnpackedSize: 5000});
+shouldFail("Exceeded maxUnpackedSize (10)", () =>
+    CBOR.unpack(CBOR.diagnosticNotation(bomb), {maxUnpackedSize: 10}));
+let chain = [];
+for (let q = 0; q < 14; q++) {
+  chain.push("[simple(" + (q + 1) + ")]");
+}
+let chained = "113([[" + chain.join(", ") + ', "x"], [], simple(0)])';
+limitFail("maxNestingDepth", chained, {maxNestingDepth: 10});
+assertTrue("chained", CBOR.unpack(CBOR.diagnosticNotation(chained), {maxNestingDepth: 15})
+                          .encode().length == 16);
+limitFail("maxContainerSize", '113([[], [[1, 2, 3]], 6([4])])', {maxContainerSize: 3});
+limitFail("maxStringLength", '113([[], ["abc"], 6("d")])', {maxStringLength: 3});
+assertTrue("within", CBOR.unpack(CBOR.diagnosticNotation('113([[], ["abc"], 6("d")])'),
+                                 {maxStringLength: 4, maxUnpackedSize: 11}).getString() == "abcd");
+
+console.log("Packed CBOR OK");
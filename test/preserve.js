@@ -0,0 +1,64 @@
+// Test program for decoding with preserved encoding
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+
+function decodePreserved(hex) {
+  return CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex(hex), false, true, false,
+                                               {preserveEncoding: true}));
+}
+
+function oneTurn(hex, deterministicHex) {
+  let object = decodePreserved(hex);
+  assertTrue("rt=" + hex, CBOR.toHex(object.encode()) == hex);
+  assertTrue("clone=" + hex, CBOR.toHex(object.clone().encode()) == hex);
+  let normal = CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex(hex), false, true, false));
+  assertTrue("det=" + hex, CBOR.toHex(normal.encode()) == deterministicHex);
+  return object;
+}
+
+oneTurn('1900ff', '18ff');
+oneTurn('3b0000000000000000', '20');
+oneTurn('fb3ff0000000000000', 'f93c00');
+oneTurn('fa7fc00000', 'f97e00');
+oneTurn('c2420001', '01');
+oneTurn('c34100', '20');
+oneTurn('7a00000002c3a4', '62c3a4');
+oneTurn('5f42010243030405ff', '450102030405');
+oneTurn('7f617aff', '617a');
+oneTurn('9f01820203ff', '8201820203');
+oneTurn('d9000118ff', 'c118ff');
+oneTurn('a2616201616100', 'a2616100616201');
+oneTurn('bf0102ff', 'a10102');
+oneTurn('a200011801f5', 'a2000101f5');
+
+// Modifying a container reverts it to deterministic encoding.
+let map = oneTurn('b900026162016161bff9000001ff', 'a26161a1f9000001616201');
+map.set(CBOR.Int(-1), CBOR.Int(5));
+assertTrue("mod1", CBOR.toHex(map.encode()) == 'a320056161bff9000001ff616201');
+map = decodePreserved('a2616201616100');
+map.remove(CBOR.String("b"));
+assertTrue("mod2", CBOR.toHex(map.encode()) == 'a1616100');
+let array = decodePreserved('9f1801ff');
+array.add(CBOR.Int(2));
+assertTrue("mod3", CBOR.toHex(array.encode()) == '82180102');
+
+// Lookup works regardless of how keys were encoded.
+map = decodePreserved('a21801f5616100');
+assertTrue("key1", map.get(CBOR.Int(1)).getBool());
+assertTrue("key2", map.containsKey(CBOR.String("a")));
+
+// Keys are compared using their deterministic encoding.
+try {
+  decodePreserved('a201011801f5');
+  throw Error("Should not");
+} catch (error) {
+  if (!error.toString().includes("Duplicate")) {
+    throw error;
+  }
+}
+
+// Preserved maps used as keys are sorted by their deterministic encoding.
+map = CBOR.Map()
+    .set(decodePreserved('a2616201616100'), CBOR.Int(1))
+    .set(CBOR.decode(CBOR.fromHex('a1616100')), CBOR.Int(2));
+assertTrue("nested", CBOR.toHex(map.encode()) == 'a2a161610002a261620161610001');
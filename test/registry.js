@@ -0,0 +1,63 @@
+// Test program for the tag handler registry
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+const POINT_TAG = 4711n;
+
+CBOR.registerTag(POINT_TAG, {
+  validate: content => content instanceof CBOR.Array && content.size() == 2,
+  decode: content => new Point(content.get(0).getInt(), content.get(1).getInt()),
+  encode: point => CBOR.Array().add(CBOR.Int(point.x)).add(CBOR.Int(point.y))
+});
+
+// Application objects both ways.
+let point = new Point(3, 4);
+let cborTag = CBOR.fromApplication(POINT_TAG, point);
+assertTrue("same", cborTag.getApplicationObject() === point);
+assertTrue("text", cborTag.toString() == '4711([3, 4])');
+let decoded = CBOR.decode(cborTag.encode());
+assertTrue("decode", decoded.getApplicationObject() instanceof Point && 
+                     decoded.getApplicationObject().y == 4);
+decoded = CBOR.diagnosticNotation('[4711([5, 6])]').get(0);
+assertTrue("diag", decoded.getApplicationObject().x == 5);
+assertTrue("number", CBOR.fromApplication(4711, point).equals(cborTag));
+
+// Validation.
+shouldFail("Invalid content for tag: 4711", () => CBOR.decode(CBOR.fromHex('d9126701')));
+shouldFail("Invalid content for tag: 4711", () => CBOR.diagnosticNotation('4711([1])'));
+shouldFail("Invalid method call", () => CBOR.decode(CBOR.fromHex('d9126782616101')));
+
+// Validators may throw and apply to built-in tags as well.
+CBOR.registerTag(0, {
+  validate: content => {
+    if (!content.getString().endsWith('Z')) {
+      throw RangeError("UTC required");
+    }
+  }
+});
+assertTrue("dt", CBOR.diagnosticNotation('0("2024-01-01T00:00:00Z")').getDateTime().getTime() ==
+                 1704067200000);
+shouldFail("UTC required", () => CBOR.diagnosticNotation('0("2024-01-01T00:00:00+01:00")'));
+shouldFail("No encoder registered for tag: 0", () => CBOR.fromApplication(0, new Date()));
+CBOR.registerTag(0n, null);
+assertTrue("removed", CBOR.diagnosticNotation('0("2024-01-01T00:00:00+01:00")') instanceof CBOR.DateTime);
+
+// Tags without handlers have no application object.
+shouldFail("No application object for tag: 5000", () => 
+    CBOR.decode(CBOR.fromHex('d9138801')).getApplicationObject());
+shouldFail("No encoder registered for tag: 5000", () => CBOR.fromApplication(5000, 1));
+
+// Invalid registrations.
+shouldFail("must be an object", () => CBOR.registerTag(1, () => 1));
+shouldFail("not a function: decode", () => CBOR.registerTag(1, {decode: 1}));
+shouldFail("out of range", () => CBOR.registerTag(-1n, {}));
+
+console.log("Registry OK");
@@ -0,0 +1,73 @@
+// Test program for the self-describe tag (55799) and CBOR.sniff()
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+let object = CBOR.Map().set(CBOR.Int(1), CBOR.String("data"));
+let selfDescribed = object.encodeSelfDescribed();
+assertTrue("enc", CBOR.toHex(selfDescribed) == 'd9d9f7a1016464617461');
+let tag = CBOR.decode(selfDescribed);
+assertTrue("plain", tag.getTagNumber() == CBOR.Tag.RESERVED_TAG_SELF_DESCRIBE);
+assertTrue("no double", CBOR.compareArrays(tag.encodeSelfDescribed(), selfDescribed) == 0);
+
+// Stripping.
+let decoder = CBOR.initExtended(selfDescribed, false, false, false, {stripSelfDescribe: true});
+assertTrue("strip", CBOR.decodeExtended(decoder).equals(object));
+assertTrue("report", decoder.isSelfDescribed());
+decoder = CBOR.initExtended(object.encode(), false, false, false, {stripSelfDescribe: true});
+assertTrue("nostrip", CBOR.decodeExtended(decoder).equals(object));
+assertTrue("noreport", !decoder.isSelfDescribed());
+decoder = CBOR.initExtended(selfDescribed, false, false, false);
+assertTrue("option", CBOR.decodeExtended(decoder).equals(tag) && !decoder.isSelfDescribed());
+
+// Sequences report each object.
+decoder = CBOR.initExtended(CBOR.addArrays(selfDescribed, CBOR.fromHex('01d9d9f702')),
+                            true, false, false, {stripSelfDescribe: true});
+let results = [];
+while ((object = CBOR.decodeExtended(decoder))) {
+  results.push(object.toString() + decoder.isSelfDescribed());
+}
+assertTrue("seq", results.join() == '{\n  1: "data"\n}true,1false,2true');
+
+// A dangling prefix is an error.
+try {
+  decoder = CBOR.initExtended(CBOR.fromHex('01d9d9f7'), true, false, false,
+                              {stripSelfDescribe: true});
+  CBOR.decodeExtended(decoder);
+  CBOR.decodeExtended(decoder);
+  throw Error("Should not");
+} catch (error) {
+  if (!error.toString().includes("Reading past end")) {
+    throw error;
+  }
+}
+
+// Sniffing.
+function sniff(data, format) {
+  assertTrue("sniff=" + data, CBOR.sniff(data) == format);
+}
+sniff(selfDescribed, "cbor");
+sniff(CBOR.fromHex('01'), "cbor");
+sniff(CBOR.addArrays(selfDescribed, selfDescribed), "sequence");
+sniff(CBOR.toHex(selfDescribed), "hex");
+sniff("d9 d9 f7 a1\n01 64 64 61 74 61", "hex");
+sniff(new TextEncoder().encode(CBOR.toHex(selfDescribed)), "hex");
+sniff(CBOR.toBase64Url(selfDescribed), "base64url");
+sniff("oQVkZGF0YQ", "base64url");
+sniff('{1: "data"}', "diagnostic");
+sniff(new TextEncoder().encode('[1, 2]'), "diagnostic");
+sniff('1, 2, "three"', "diagnostic");
+sniff("hello", null);
+sniff("", null);
+sniff(new Uint8Array(), null);
+sniff(CBOR.fromHex('a101'), null);
+sniff(CBOR.fromHex('ff80'), null);
+// Decoder options apply to the candidates.
+let nested = new Uint8Array(1001).fill(0x81);
+nested[1000] = 0x01;
+shouldFail("Exceeded maxNestingDepth (10)", () => CBOR.sniff(nested, {maxNestingDepth: 10}));
+shouldFail("Exceeded maxInputLength (2)", () => CBOR.sniff("010203", {maxInputLength: 2}));
+assertTrue("options", CBOR.sniff(nested, {maxNestingDepth: 1001}) == "cbor");
+assertTrue("policy", CBOR.sniff(CBOR.fromHex('c100'), {deniedTags: [1]}) == null);
+
+console.log("Self-describe OK");
@@ -0,0 +1,96 @@
+// Test program for sets (tag 258) and typed maps (tag 259)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+// Elements are sorted like map keys.
+let set = CBOR.Set([CBOR.String("b"), CBOR.Int(10), CBOR.Int(1)]);
+assertTrue("text", set.toString() == '258([1, 10, "b"])');
+assertTrue("hex", CBOR.toHex(set.encode()) == 'd9010283010a6162');
+assertTrue("has", set.has(CBOR.Int(10)) && !set.has(CBOR.Int(2)));
+set.add(CBOR.Int(5)).add(CBOR.Array());
+assertTrue("add", set.toString() == '258([1, 5, 10, "b", []])');
+assertTrue("remove", set.remove(CBOR.Int(10)).getInt() == 10);
+assertTrue("size", set.size() == 4 && set.toArray()[1].getInt() == 5);
+shouldFail("Duplicate: 1", () => set.add(CBOR.Int(1)));
+shouldFail("Missing element: 7", () => set.remove(CBOR.Int(7)));
+shouldFail("Duplicate: 1", () => CBOR.Set([CBOR.Int(1), CBOR.Int(1)]));
+assertTrue("empty", CBOR.Set(CBOR.Array()).toString() == '258([])');
+assertTrue("cborarray", CBOR.Set(CBOR.Array().add(CBOR.Int(3)).add(CBOR.Int(2)))
+                            .toString() == '258([2, 3])');
+
+let decoded = CBOR.decode(set.encode());
+assertTrue("type", decoded.constructor == set.constructor);
+assertTrue("equal", decoded.equals(set) && decoded.has(CBOR.String("b")));
+assertTrue("diag", CBOR.diagnosticNotation(set.toString()).equals(set));
+
+// Decoding unsorted sets.
+let unsorted = CBOR.fromHex('d90102820a02');
+shouldFail("Non-deterministic order: 2", () => CBOR.decode(unsorted));
+decoded = CBOR.decodeExtended(CBOR.initExtended(unsorted, false, true, false));
+assertTrue("sorted", decoded.toString() == '258([2, 10])');
+shouldFail("Duplicate: 2", () => CBOR.decode(CBOR.fromHex('d90102820202')));
+shouldFail("Duplicate: 2", () => 
+    CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex('d90102820202'), false, true, false)));
+shouldFail("requires an array", () => CBOR.decode(CBOR.fromHex('d9010201')));
+
+// Preserved encodings of sorted sets are kept.
+let indefinite = CBOR.fromHex('d901029f0102ff');
+decoded = CBOR.decodeExtended(CBOR.initExtended(indefinite, false, true, false,
+                                                {preserveEncoding: true}));
+assertTrue("preserved", CBOR.compareArrays(decoded.encode(), indefinite) == 0);
+decoded.add(CBOR.Int(3));
+assertTrue("modified", CBOR.toHex(decoded.encode()) == 'd9010283010203');
+
+// So are those of unsorted sets, until elements are added or removed.
+function preserved(hex) {
+  return CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex(hex), false, true, false,
+                                               {preserveEncoding: true}));
+}
+for (let hex of ['d90102820201', 'd901029f0201ff']) {
+  decoded = preserved(hex);
+  assertTrue("unsorted " + hex, CBOR.toHex(decoded.encode()) == hex);
+  assertTrue("has", decoded.has(CBOR.Int(1)) && decoded.has(CBOR.Int(2)) &&
+                    !decoded.has(CBOR.Int(3)));
+  assertTrue("unchanged", CBOR.toHex(decoded.encode()) == hex);
+}
+decoded = preserved('d901029f0201ff');
+decoded.add(CBOR.Int(0));
+assertTrue("added", CBOR.toHex(decoded.encode()) == 'd9010283000102');
+decoded = preserved('d90102820201');
+decoded.remove(CBOR.Int(2));
+assertTrue("removed", CBOR.toHex(decoded.encode()) == 'd901028101');
+shouldFail("Duplicate: 2", () => preserved('d9010283020102'));
+// Sets created through the API are always sorted.
+assertTrue("api", CBOR.toHex(CBOR.Set(CBOR.Array().add(CBOR.Int(2)).add(CBOR.Int(1))).encode())
+                  == 'd90102820102');
+// The array given to CBOR.Set() is copied.
+let elements = CBOR.Array().add(CBOR.Int(1)).add(CBOR.Int(2));
+set = CBOR.Set(elements);
+elements.add(CBOR.Int(1));
+assertTrue("copied", set.size() == 2 && set.getTagObject() !== elements);
+// Sets of decoded arrays are also sorted unless preserveEncoding was given.
+assertTrue("plain", CBOR.Set(CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex('820201'),
+    false, true, false))).toString() == "258([1, 2])");
+
+// Typed maps.
+let typedMap = CBOR.TypedMap(CBOR.Map().set(CBOR.Int(1), CBOR.String("one"))
+                                       .set(CBOR.Array(), CBOR.Null())
+                                       .set(CBOR.Bool(true), CBOR.Int(2)));
+assertTrue("mhex", CBOR.toHex(typedMap.encode()) == 'd90103a301636f6e6580f6f502');
+decoded = CBOR.decode(typedMap.encode());
+assertTrue("mtype", decoded.constructor == typedMap.constructor);
+let jsMap = decoded.toJSMap();
+assertTrue("jsmap", jsMap.size == 3 && jsMap.get(1).getString() == "one" && 
+                    jsMap.get(true).getInt() == 2);
+assertTrue("other", [...jsMap.keys()][1] instanceof CBOR.Array);
+shouldFail("requires a map", () => CBOR.decode(CBOR.fromHex('d9010380')));
+// Keys that are distinct in CBOR but not in JavaScript.
+typedMap = CBOR.TypedMap(CBOR.Map().set(CBOR.Int(1), CBOR.String("int"))
+                                   .set(CBOR.Float(1.0), CBOR.String("float")));
+assertTrue("distinct", typedMap.getTagObject().size() == 2);
+shouldFail("Duplicate: 1.0", () => typedMap.toJSMap());
+assertTrue("bigint", CBOR.TypedMap(CBOR.Map().set(CBOR.Int(1), CBOR.Null())
+    .set(CBOR.BigInt(1n << 64n), CBOR.Null())).toJSMap().size == 2);
+
+console.log("Set OK");
@@ -0,0 +1,85 @@
+// Test program for cycle detection and value sharing (tags 28 and 29)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function decodeShared(cbor) {
+  return CBOR.decodeExtended(CBOR.initExtended(cbor, false, false, false, {valueSharing: true}));
+}
+
+// Cycles are detected by default.
+let array = CBOR.Array().add(CBOR.Int(1));
+array.add(array);
+let map = CBOR.Map().set(CBOR.Int(1), CBOR.Array());
+map.get(CBOR.Int(1)).add(map);
+[array, map].forEach(cyclic => {
+  let message = "Circular reference to CBOR." + cyclic.constructor.name;
+  shouldFail(message, () => cyclic.encode());
+  shouldFail(message, () => cyclic.toString());
+  shouldFail(message, () => cyclic.equals(cyclic));
+  shouldFail(message, () => cyclic.clone());
+  shouldFail(message, () => CBOR.Tag(5000, cyclic).encode());
+});
+shouldFail("Circular reference to CBOR.Map", () => map.set(map, CBOR.Int(2)));
+// The failure does not affect subsequent operations.
+let repeated = CBOR.Array().add(CBOR.Int(7));
+let acyclic = CBOR.Array().add(repeated).add(repeated);
+assertTrue("acyclic", acyclic.toString() == "[[7], [7]]");
+assertTrue("acyclicenc", CBOR.toHex(acyclic.encode()) == "8281078107");
+
+// Value sharing.
+let encoded = array.encodeShared();
+assertTrue("self", CBOR.toHex(encoded) == "d81c8201d81d00");
+let decoded = decodeShared(encoded);
+assertTrue("selfdec", decoded.get(1) === decoded && decoded.get(0).getInt() == 1);
+assertTrue("raw", CBOR.decode(encoded).toString() == "28([1, 29(0)])");
+
+encoded = acyclic.encodeShared();
+assertTrue("repeated", CBOR.toHex(encoded) == "82d81c8107d81d00");
+decoded = decodeShared(encoded);
+assertTrue("repdec", decoded.get(0) === decoded.get(1) && decoded.equals(acyclic));
+
+encoded = map.encodeShared();
+assertTrue("map", CBOR.toHex(encoded) == "d81ca10181d81d00");
+decoded = decodeShared(encoded);
+assertTrue("mapdec", decoded.get(CBOR.Int(1)).get(0) === decoded);
+
+let graph = CBOR.Map();
+let shared = CBOR.Map().set(CBOR.String("name"), CBOR.String("shared"));
+graph.set(CBOR.Int(1), shared)
+     .set(CBOR.Int(2), CBOR.Tag(5000, shared))
+     .set(CBOR.Int(3), CBOR.Array().add(graph).add(shared));
+decoded = decodeShared(graph.encodeShared());
+assertTrue("graph1", decoded.get(CBOR.Int(2)).getTagObject() === decoded.get(CBOR.Int(1)));
+assertTrue("graph2", decoded.get(CBOR.Int(3)).get(0) === decoded);
+assertTrue("graph3", decoded.get(CBOR.Int(3)).get(1) === decoded.get(CBOR.Int(1)));
+
+// Without repeated references encodeShared() equals encode().
+let plain = CBOR.diagnosticNotation('[[], {"a": [1]}, 1(5), 5000([2])]');
+assertTrue("plain", CBOR.compareArrays(plain.encodeShared(), plain.encode()) == 0);
+assertTrue("plaindec", decodeShared(plain.encode()).equals(plain));
+
+// Shared values of other types and indefinite length containers.
+decoded = decodeShared(CBOR.fromHex('82d81c6378797ad81d00'));
+assertTrue("string", decoded.toString() == '["xyz", "xyz"]');
+decoded = CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex('d81c9f01d81d00ff'),
+                                                false, true, false, {valueSharing: true}));
+assertTrue("indefinite", decoded.get(1) === decoded);
+// A shareable tag only applies to its immediate content.
+decoded = decodeShared(CBOR.fromHex('82d81cd9138881018106'));
+assertTrue("nested", decoded.get(0).toString() == "5000([1])" &&
+                     decoded.get(1).toString() == "[6]");
+
+shouldFail("Invalid shared value reference: 0", () => decodeShared(CBOR.fromHex('d81d00')));
+shouldFail("Invalid shared value reference: 1", () => decodeShared(CBOR.fromHex('d81c81d81d01')));
+shouldFail("Invalid shared value reference: \"a\"", () => decodeShared(CBOR.fromHex('d81d6161')));
+shouldFail("Invalid shared value reference: 0", () => decodeShared(CBOR.fromHex('d81cd81d00')));
+shouldFail("Map key refers to enclosing container: 0", () =>
+    decodeShared(CBOR.fromHex('d81ca1d81d0001')));
+shouldFail("Map key refers to enclosing container: 0", () =>
+    decodeShared(CBOR.fromHex('d81ca181d81d0001')));
+// Keys may refer to completed containers.
+decoded = decodeShared(CBOR.fromHex('82d81c8101a1d81d0002'));
+assertTrue("key", decoded.get(1).getKeys()[0] === decoded.get(0));
+
+console.log("Value sharing OK");
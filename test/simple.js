@@ -0,0 +1,35 @@
+// Test program for simple values and undefined
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const assertFalse = require('./assertions.js').assertFalse;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function oneTurn(value, hex) {
+  let cbor = CBOR.Simple(value).encode();
+  assertTrue("enc" + value, CBOR.toHex(cbor) == hex);
+  let decoded = CBOR.decode(cbor);
+  assertTrue("dec" + value, decoded.getSimple() == value);
+  assertTrue("str" + value, decoded.toString() == 'simple(' + value + ')');
+  assertTrue("dn" + value, CBOR.diagnosticNotation(decoded.toString()).equals(decoded));
+}
+
+oneTurn(0, 'e0');
+oneTurn(19, 'f3');
+oneTurn(32, 'f820');
+oneTurn(255, 'f8ff');
+
+[-1, 20, 23, 24, 31, 256].forEach(value =>
+    shouldFail("out of range", () => CBOR.Simple(value)));
+
+['f800', 'f813', 'f818', 'f81f'].forEach(hex =>
+    shouldFail("Invalid simple", () => CBOR.decode(CBOR.fromHex(hex))));
+
+let undef = CBOR.decode(CBOR.fromHex('f7'));
+assertTrue("undef", undef.getUndefined());
+assertFalse("null", undef.getNull());
+assertTrue("undef-str", undef.toString() == 'undefined');
+assertTrue("undef-enc", CBOR.toHex(CBOR.Undefined().encode()) == 'f7');
+assertTrue("undef-dn", CBOR.diagnosticNotation('[undefined, simple( 7 )]').equals(
+    CBOR.Array().add(CBOR.Undefined()).add(CBOR.Simple(7))));
+
+shouldFail("CBOR.Int", () => CBOR.Int(5).getSimple());
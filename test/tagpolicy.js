@@ -0,0 +1,85 @@
+// Test program for the tag policy options
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function decode(hex, options) {
+  return CBOR.decodeExtended(CBOR.initExtended(CBOR.fromHex(hex), false, false, false, options));
+}
+
+function policyFail(tagNumber, enclosingTag, offset, path, hex, options) {
+  try {
+    decode(hex, options);
+    throw Error("Should not");
+  } catch (error) {
+    if (!(error instanceof CBOR.TagPolicyError)) {
+      throw error;
+    }
+    assertTrue("class", error instanceof CBOR.DecodeError && error.code == 'TAG_NOT_ALLOWED');
+    assertTrue("tag", error.tagNumber == tagNumber && error.enclosingTag == enclosingTag);
+    assertTrue("position", error.offset == offset && error.path == path);
+  }
+}
+
+// [1(1600000000), 0("2020-03-01T00:00:00Z")]
+const DATES = "82c11a5f5e1000c074323032302d30332d30315430303a30303a30305a";
+// 24(<< 1(0) >>)
+const EMBEDDED = "d81842c100";
+
+// No policy.
+assertTrue("none", decode(DATES).size() == 2);
+
+assertTrue("allowed", decode(DATES, {allowedTags: [0, 1]}).size() == 2);
+assertTrue("allowed", decode(DATES, {allowedTags: [0n, 1n, 2n]}).size() == 2);
+policyFail(0n, null, 7, "$[1]", DATES, {allowedTags: [1]});
+policyFail(1n, null, 1, "$[0]", DATES, {allowedTags: []});
+shouldFail("Tag not allowed: 0\nat offset 7, path $[1]",
+           () => decode(DATES, {allowedTags: [1]}));
+
+assertTrue("denied", decode(DATES, {deniedTags: [2, 3]}).size() == 2);
+policyFail(1n, null, 1, "$[0]", DATES, {deniedTags: [1]});
+// Denied takes precedence.
+policyFail(1n, null, 1, "$[0]", DATES, {allowedTags: [0, 1], deniedTags: [1]});
+
+// Nesting rules cover the content of the tag, not embedded CBOR.
+assertTrue("nested", decode(EMBEDDED, {nestedTags: {24: []}}).getTag().getTagNumber() == 24n);
+policyFail(1n, 4000n, 4, "$(4000)[0]", "d90fa081c100", {nestedTags: {4000: []}});
+policyFail(1n, 4000n, 7, "$(4000)[0](1234)", "d90fa081d904d2c100",
+           {nestedTags: new Map([[4000n, [1234]]])});
+assertTrue("nested", decode("d90fa081d904d2c100",
+    {nestedTags: {4000: [1, 1234]}, allowedTags: [1, 1234, 4000]}) != null);
+assertTrue("sibling", decode("82d90fa080c100", {nestedTags: {4000: []}}).size() == 2);
+
+// Tags handled by decoder options are subject to the policy as well.
+policyFail(28n, null, 1, "$[0]", "82d81c8001", {valueSharing: true, allowedTags: [29]});
+// Nesting rules apply to expanded and shared content: 113([[1(0)], [], 200(simple(0))]).
+policyFail(1n, 200n, 0, "$", "d8718381c10080d8c8e0", {unpackCBOR: true, nestedTags: {200: []}});
+assertTrue("unpacked", decode("d8718381c10080d8c8e0",
+    {unpackCBOR: true, nestedTags: {200: [1]}}).toString() == "200(1(0))");
+shouldFail("Tag not allowed: 1", () => CBOR.unpack(
+    CBOR.diagnosticNotation("113([[1(0)], [], 200(simple(0))])"), {deniedTags: [1]}));
+// [28(1(0)), 200(29(0))]
+policyFail(1n, 200n, 7, "$[1](200)", "82d81cc100d8c8d81d00",
+           {valueSharing: true, nestedTags: {200: [29]}});
+assertTrue("shared", decode("82d81cc100d8c8d81d00",
+    {valueSharing: true, nestedTags: {200: [1, 29]}}).toString() == "[1(0), 200(1(0))]");
+// 28([200(29(0))]) refers to a value that is not yet complete.
+policyFail(29n, 200n, 5, "$[0](200)", "d81c81d8c8d81d00",
+           {valueSharing: true, nestedTags: {200: [29]}});
+
+shouldFail("allowedTags must hold an array", () => decode(DATES, {allowedTags: 1}));
+shouldFail("nestedTags must be an object", () => decode(DATES, {nestedTags: [24]}));
+shouldFail("Tag value is out of range", () => decode(DATES, {deniedTags: [-1]}));
+
+// Diagnostic notation.
+let policy = {allowedTags: [0, 1, 52]};
+assertTrue("diagnostic", CBOR.diagnosticNotation("[1(0), ip'192.0.2.1']", false, policy)
+    .get(1).getTagNumber() == 52n);
+shouldFail("line 1. TagPolicyError: Tag not allowed: 54",
+           () => CBOR.diagnosticNotation("[1(0), ip'::1']", false, policy));
+shouldFail("line 2. TagPolicyError: Tag 1 not allowed inside tag 4000",
+           () => CBOR.diagnosticNotation("[\n4000([1(0)])]", false, {nestedTags: {4000: []}}));
+shouldFail("Tag not allowed: 1",
+           () => CBOR.diagnosticNotation("0, 1(0)", true, {deniedTags: [1]}));
+
+console.log("Tag policy OK");
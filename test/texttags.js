@@ -0,0 +1,73 @@
+// Test program for text tags: URI (32), regex (35), MIME (36) and language-tagged strings (38)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function roundTrip(cborObject, hex, text) {
+  assertTrue("hex=" + hex, CBOR.toHex(cborObject.encode()) == hex);
+  let decoded = CBOR.decode(cborObject.encode());
+  assertTrue("type=" + hex, decoded.constructor == cborObject.constructor);
+  assertTrue("text=" + hex, decoded.toString() == text);
+  assertTrue("diag=" + hex, CBOR.diagnosticNotation(text).equals(decoded));
+  return decoded;
+}
+
+// URI.
+let uri = roundTrip(CBOR.URI("http://www.example.com"),
+                    'd82076687474703a2f2f7777772e6578616d706c652e636f6d',
+                    '32("http://www.example.com")');
+assertTrue("uri", uri.getURI() == "http://www.example.com");
+assertTrue("url", uri.toURL().hostname == "www.example.com");
+assertTrue("fromurl", CBOR.URI(new URL("https://a.b/c?d")).getURI() == "https://a.b/c?d");
+shouldFail("Invalid URI", () => CBOR.URI("no/scheme"));
+shouldFail("Invalid URI", () => CBOR.diagnosticNotation('32("")'));
+shouldFail("Tag 32 requires a string", () => CBOR.decode(CBOR.fromHex('d82001')));
+
+// Regular expressions.
+let regex = roundTrip(CBOR.Regex(/^a+b$/), 'd823655e612b6224', '35("^a+b$")');
+assertTrue("regexp", regex.getRegExp().test("aab") && !regex.getRegExp().test("abb"));
+assertTrue("flags", regex.toRegExp('i').test("AB"));
+assertTrue("string", CBOR.Regex("[0-9]").getRegExp().source == "[0-9]");
+shouldFail("flags are not supported", () => CBOR.Regex(/a/g));
+shouldFail("Invalid regular expression", () => CBOR.decode(CBOR.fromHex('d8236128')));
+
+// MIME messages.
+const MESSAGE = "Content-Type: text/plain;\r\n charset=utf-8\r\nSubject: Hi\r\n\r\nX: body";
+let mime = roundTrip(CBOR.MIME(MESSAGE), 'd82478' + '41' + 
+                     CBOR.toHex(new TextEncoder().encode(MESSAGE)),
+                     '36(' + CBOR.String(MESSAGE).toString() + ')');
+assertTrue("mime", mime.getMIME() == MESSAGE);
+assertTrue("header", mime.getHeader("content-type") == "text/plain; charset=utf-8");
+assertTrue("header2", mime.getHeader("Subject") == "Hi");
+assertTrue("header3", mime.getHeader("X") == null);
+shouldFail("missing header", () => CBOR.MIME("\r\nbody"));
+
+// Language-tagged strings.
+let langString = roundTrip(CBOR.LangString(["en-US", "Hello"]), 
+                           'd8268265656e2d55536548656c6c6f', '38(["en-US", "Hello"])');
+assertTrue("lang", langString.getLangString().language == "en-US" && 
+                   langString.getLangString().text == "Hello");
+assertTrue("cbor", CBOR.LangString(CBOR.Array().add(CBOR.String("fr")).add(CBOR.String("Salut")))
+                       .getText() == "Salut");
+shouldFail("Invalid language tag", () => CBOR.LangString(["en_US", "Hello"]));
+assertTrue("nodir", langString.getDirection() === null &&
+                    langString.getLangString().direction === null);
+shouldFail("[language, text] or", () => CBOR.LangString(["en"]));
+shouldFail("[language, text] or", () => CBOR.diagnosticNotation('38(["en", 5])'));
+// RFC 9290 direction.
+let rtl = roundTrip(CBOR.LangString(["ar", "hi", true]), 'd82683626172626869f5',
+                    '38(["ar", "hi", true])');
+assertTrue("rtl", rtl.getDirection() === true && rtl.getLangString().direction === true);
+assertTrue("ltr", roundTrip(CBOR.LangString(["en", "hi", false]), 'd8268362656e626869f4',
+                            '38(["en", "hi", false])').getDirection() === false);
+assertTrue("null", roundTrip(CBOR.LangString(["en", "hi", null]), 'd8268362656e626869f6',
+                             '38(["en", "hi", null])').getDirection() === null);
+shouldFail("[language, text, direction] array", () => CBOR.LangString(["en", "hi", "rtl"]));
+shouldFail("[language, text, direction] array",
+           () => CBOR.LangString(["en", "hi", true, true]));
+
+// Accessors check the type.
+shouldFail("Invalid method call", () => CBOR.String("http://x.y").getURI());
+shouldFail("Invalid method call", () => uri.getMIME());
+
+console.log("Text tags OK");
@@ -0,0 +1,95 @@
+// Test program for extended time, duration, period (tags 1001-1003) and date-only tags (100, 1004)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function roundTrip(cborObject, hex) {
+  assertTrue("hex=" + hex, CBOR.toHex(cborObject.encode()) == hex);
+  let decoded = CBOR.decode(cborObject.encode());
+  assertTrue("type=" + hex, decoded.constructor == cborObject.constructor);
+  assertTrue("diag=" + hex, CBOR.diagnosticNotation(decoded.toString()).equals(decoded));
+  return decoded;
+}
+
+// Extended time.
+let time = roundTrip(CBOR.ExtendedTime(1704067200123456789n), 'd903e9a2011a65920080281a075bcd15');
+assertTrue("ns", time.getEpochNanoseconds() == 1704067200123456789n);
+assertTrue("iso", time.toISOString() == "2024-01-01T00:00:00.123456789Z");
+assertTrue("date", time.getDate().getTime() == 1704067200123);
+assertTrue("scale", time.getTimeScale() == 0 && time.getTimeZoneHint() == null);
+time = CBOR.ExtendedTime(new Date(-1));
+assertTrue("neg", time.toISOString() == "1969-12-31T23:59:59.999Z");
+assertTrue("negns", time.getEpochNanoseconds() == -1000000n);
+
+time = CBOR.diagnosticNotation('1001({1: 1704067200.5, -1: 1, 10: "Europe/Paris"})');
+assertTrue("float", time.toISOString() == "2024-01-01T00:00:00.5Z");
+assertTrue("tai", time.getTimeScale() == 1 && time.getTimeZoneHint() == "Europe/Paris");
+assertTrue("offset", CBOR.diagnosticNotation('1001({1: 0, 10: -300})').getTimeZoneHint() == -300);
+assertTrue("decimal", CBOR.diagnosticNotation('1001({4: [-3, 1500]})').getEpochNanoseconds() ==
+                      1500000000n);
+assertTrue("bigfloat", CBOR.diagnosticNotation('1001({5: [-1, 3]})').getEpochNanoseconds() ==
+                       1500000000n);
+assertTrue("pico", CBOR.diagnosticNotation('1001({1: 0, -12: 1999})').getEpochNanoseconds() == 1n);
+assertTrue("elective", CBOR.diagnosticNotation('1001({1: 0, 99: "x"})').getEpochNanoseconds() == 0n);
+
+shouldFail("requires a map", () => CBOR.decode(CBOR.fromHex('d903e901')));
+shouldFail("requires a base value", () => CBOR.diagnosticNotation('1001({-1: 0})'));
+shouldFail("single base value", () => CBOR.diagnosticNotation('1001({1: 0, 4: [0, 1]})'));
+shouldFail("Unsupported critical key: -2", () => CBOR.diagnosticNotation('1001({1: 0, -2: 0})'));
+shouldFail("Unsupported time scale", () => CBOR.diagnosticNotation('1001({1: 0, -1: 7})'));
+shouldFail("Invalid decimal fraction for key: -3", () =>
+    CBOR.diagnosticNotation('1001({1: 0, -3: 1000})'));
+shouldFail("Invalid decimal fraction for key: -6", () =>
+    CBOR.diagnosticNotation('1001({1: 0, -3: 1, -6: 1})'));
+shouldFail("require an integer base", () => CBOR.diagnosticNotation('1001({1: 0.5, -3: 1})'));
+shouldFail("Time zone hint", () => CBOR.diagnosticNotation('1001({1: 0, 10: true})'));
+shouldFail("integer keys", () => CBOR.diagnosticNotation('1001({1: 0, "a": 1})'));
+
+// Durations.
+let duration = roundTrip(CBOR.Duration(1.5), 'd903eaa101f93e00');
+assertTrue("dur", duration.getNanoseconds() == 1500000000n && duration.getSeconds() == 1.5);
+assertTrue("duriso", duration.toISOString() == "PT1.5S");
+assertTrue("durint", CBOR.Duration(3600).toISOString() == "PT3600S");
+assertTrue("durneg", CBOR.Duration(-90n).toISOString() == "-PT0.00000009S");
+assertTrue("durns", CBOR.Duration(-90n).getNanoseconds() == -90n);
+
+// Periods.
+let period = roundTrip(CBOR.Period([CBOR.ExtendedTime(new Date(0)), null, CBOR.Duration(60)]),
+                       'd903eb83a10100f6a101183c');
+assertTrue("start", period.getStart().toISOString() == "1970-01-01T00:00:00Z");
+assertTrue("end", period.getEnd() == null);
+assertTrue("duration", period.getDuration().getSeconds() == 60);
+period = CBOR.diagnosticNotation('1003([{1: 0}, {1: 60}])');
+assertTrue("short", period.getEnd().getEpochNanoseconds() == 60000000000n &&
+                    period.getDuration() == null);
+shouldFail("two are non-null", () => CBOR.diagnosticNotation('1003([{1: 0}, null])'));
+shouldFail("two are non-null", () => CBOR.diagnosticNotation('1003([{1: 0}, {1: 1}, {1: 1}])'));
+shouldFail("two are non-null", () => CBOR.diagnosticNotation('1003([{1: 0}, 5])'));
+shouldFail("requires a base value", () => CBOR.diagnosticNotation('1003([{1: 0}, {}])'));
+
+// Date-only tags.
+let epochDate = roundTrip(CBOR.EpochDate(new Date('2024-02-29T12:00:00Z')), 'd864194d46');
+assertTrue("days", epochDate.getEpochDays() == 19782);
+assertTrue("dayiso", epochDate.toISOString() == "2024-02-29" &&
+                     epochDate.toString() == "100(19782) / 2024-02-29 /");
+assertTrue("daydate", epochDate.getDate().getTime() == Date.UTC(2024, 1, 29));
+assertTrue("dayneg", CBOR.EpochDate(-1).toISOString() == "1969-12-31");
+shouldFail("requires an integer", () => CBOR.decode(CBOR.fromHex('d864f93c00')));
+shouldFail("out of range", () => CBOR.EpochDate(100000001));
+
+let fullDate = roundTrip(CBOR.FullDate("2024-02-29"), 'd903ec6a323032342d30322d3239');
+assertTrue("fdays", fullDate.getEpochDays() == 19782);
+assertTrue("fdate", fullDate.getDate().getTime() == Date.UTC(2024, 1, 29));
+assertTrue("fjs", CBOR.FullDate(new Date(0)).toISOString() == "1970-01-01");
+shouldFail("Invalid full-date", () => CBOR.FullDate("2023-02-29"));
+// Years 0000-0099 are not mapped to the 1900s.
+let early = roundTrip(CBOR.FullDate("0050-03-01"), 'd903ec6a303035302d30332d3031');
+assertTrue("early", early.getDate().getTime() == Date.parse("0050-03-01T00:00:00Z"));
+assertTrue("ejs", CBOR.FullDate(new Date("0050-03-01T00:00:00Z")).toISOString() == "0050-03-01");
+assertTrue("zero", CBOR.FullDate("0000-02-29").toISOString() == "0000-02-29");
+assertTrue("99", CBOR.FullDate("0099-12-31").getEpochDays() == -683004);
+shouldFail("Invalid full-date", () => CBOR.FullDate("0001-02-29"));
+shouldFail("Invalid full-date", () => CBOR.diagnosticNotation('1004("2024-1-01")'));
+shouldFail("requires a string", () => CBOR.decode(CBOR.fromHex('d903ec01')));
+
+console.log("Time tags OK");
@@ -0,0 +1,73 @@
+// Test program for RFC 8746 typed arrays (tags 40 and 64..87)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+function oneTurn(typedArray, littleEndian, hex) {
+  let cborObject = CBOR.TypedArray(typedArray, littleEndian);
+  assertTrue("hex=" + hex, CBOR.toHex(cborObject.encode()) == hex);
+  let decoded = CBOR.decode(cborObject.encode());
+  assertTrue("type=" + hex, decoded.constructor == cborObject.constructor);
+  assertTrue("diag=" + hex, CBOR.diagnosticNotation(decoded.toString()).equals(decoded));
+  let result = decoded.getTypedArray();
+  assertTrue("class=" + hex, result.constructor == typedArray.constructor);
+  assertTrue("data=" + hex, result.length == typedArray.length &&
+                            result.every((value, index) => value === typedArray[index]));
+  assertTrue("endian=" + hex, decoded.isLittleEndian() == (littleEndian &&
+                                                             typedArray.BYTES_PER_ELEMENT > 1));
+}
+
+oneTurn(new Uint8Array([1, 255]), false, 'd84042' + '01ff');
+oneTurn(new Uint8Array([1, 255]), true, 'd84042' + '01ff');
+oneTurn(new Uint8ClampedArray([7]), false, 'd8444107');
+oneTurn(new Int8Array([-1]), true, 'd84841ff');
+oneTurn(new Uint16Array([0x102]), false, 'd841420102');
+oneTurn(new Uint16Array([0x102]), true, 'd845420201');
+oneTurn(new Uint32Array([0x1020304]), true, 'd8464404030201');
+oneTurn(new BigUint64Array([1n]), false, 'd843480000000000000001');
+oneTurn(new Int16Array([-2]), false, 'd84942fffe');
+oneTurn(new Int32Array([-2]), true, 'd84e44feffffff');
+oneTurn(new BigInt64Array([-2n]), true, 'd84f48feffffffffffffff');
+oneTurn(new Float32Array([1.5, -2]), false, 'd851483fc00000c0000000');
+oneTurn(new Float64Array([1.5]), true, 'd85648000000000000f83f');
+oneTurn(new Float64Array([]), false, 'd85240');
+
+// Float16.
+let float16 = CBOR.TypedArray.createFloat16([1.5, -Infinity, 65504, 5.960464477539063e-8], false);
+assertTrue("f16", CBOR.toHex(float16.encode()) == 'd85048' + '3e00fc007bff0001');
+let float16Array = CBOR.decode(float16.encode()).getTypedArray();
+assertTrue("f16a", float16Array[0] == 1.5 && float16Array[1] == -Infinity &&
+                   float16Array[2] == 65504 && float16Array[3] == 5.960464477539063e-8);
+assertTrue("f16le", CBOR.toHex(CBOR.TypedArray.createFloat16([1.5], true).encode()) == 'd85442003e');
+assertTrue("f16nan", Number.isNaN(CBOR.decode(CBOR.fromHex('d850427e00')).getTypedArray()[0]));
+shouldFail("cannot be represented in 16 bits", () => CBOR.TypedArray.createFloat16([0.1], false));
+
+// Tags without a matching TypedArray.
+shouldFail("Unsupported typed array tag: 83", () =>
+    CBOR.decode(CBOR.fromHex('d85350' + '00'.repeat(16))).getTypedArray());
+shouldFail("Invalid typed array tag: 76", () => CBOR.decode(CBOR.fromHex('d84c4100')));
+shouldFail("Unsupported typed array", () => CBOR.TypedArray(new DataView(new ArrayBuffer(2)), false));
+shouldFail("4 byte elements", () => CBOR.decode(CBOR.fromHex('d8514300000000')));
+shouldFail("byte string", () => CBOR.decode(CBOR.fromHex('d8518100')));
+shouldFail("Argument is not a 'boolean'", () => CBOR.TypedArray(new Uint8Array(1), 1));
+
+// Multi-dimensional arrays.
+let multi = CBOR.MultiDimArray([2, 3], CBOR.TypedArray(new Uint16Array([1, 2, 3, 4, 5, 6]), false));
+assertTrue("md", multi.toString() == "40([[2, 3], 65(h'000100020003000400050006')])");
+let decoded = CBOR.decode(multi.encode());
+assertTrue("mdt", decoded.constructor == multi.constructor);
+assertTrue("mdd", decoded.getDimensions().join() == "2,3");
+assertTrue("mde", decoded.getElements().getTypedArray()[5] == 6);
+multi = CBOR.MultiDimArray(CBOR.Array().add(CBOR.Int(2)),
+                           CBOR.Array().add(CBOR.String("a")).add(CBOR.String("b")));
+assertTrue("mda", CBOR.decode(multi.encode()).getElements().get(1).getString() == "b");
+// A preserved indefinite length array header survives the conversion.
+let indefinite = CBOR.fromHex('d8289f8102820102ff');
+assertTrue("mdp", CBOR.toHex(CBOR.decodeExtended(CBOR.initExtended(
+    indefinite, false, true, false, {preserveEncoding: true})).encode()) == 'd8289f8102820102ff');
+shouldFail("matching [dimensions, elements]", () => CBOR.MultiDimArray([2, 2], CBOR.Array()));
+shouldFail("matching [dimensions, elements]", () => CBOR.diagnosticNotation('40([[0], []])'));
+shouldFail("matching [dimensions, elements]", () => CBOR.diagnosticNotation('40([[1], 5])'));
+shouldFail("[dimensions, elements] array", () => CBOR.diagnosticNotation('40([[1]])'));
+
+console.log("Typed arrays OK");
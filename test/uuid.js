@@ -0,0 +1,41 @@
+// Test program for UUIDs (tag 37)
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+const UUID_STRING = '8c8a8d48-68b1-4a24-9d4b-0a3f1c2e7b90';
+
+let uuid = CBOR.UUID(UUID_STRING);
+assertTrue("hex", CBOR.toHex(uuid.encode()) == 'd82550' + UUID_STRING.replace(/-/g, ''));
+assertTrue("text", uuid.toString() == "37(h'8c8a8d4868b14a249d4b0a3f1c2e7b90')");
+assertTrue("version", uuid.getVersion() == 4);
+let decoded = CBOR.decode(uuid.encode());
+assertTrue("type", decoded.constructor == uuid.constructor);
+assertTrue("string", decoded.getUUID() == UUID_STRING);
+assertTrue("upper", CBOR.UUID(UUID_STRING.toUpperCase()).equals(uuid));
+assertTrue("bytes", CBOR.UUID(CBOR.fromHex(UUID_STRING.replace(/-/g, ''))).equals(uuid));
+assertTrue("diag", CBOR.diagnosticNotation(uuid.toString()).equals(uuid));
+
+// UUIDs as map keys.
+let map = CBOR.Map().set(uuid, CBOR.Int(1));
+assertTrue("key", CBOR.diagnosticNotation(map.toString()).get(CBOR.UUID(UUID_STRING)).getInt() == 1);
+
+// Random UUIDs.
+let random = CBOR.UUID.createRandom(4);
+assertTrue("v4", random.getVersion() == 4 && (random.getTagObject().getBytes()[8] & 0xc0) == 0x80);
+assertTrue("unique", !random.equals(CBOR.UUID.createRandom(4)));
+let before = Date.now();
+let timeOrdered = CBOR.UUID.createRandom(7);
+let time = parseInt(timeOrdered.getUUID().replace(/-/g, '').substring(0, 12), 16);
+assertTrue("v7", timeOrdered.getVersion() == 7 && time >= before && time <= Date.now());
+shouldFail("Unsupported UUID version", () => CBOR.UUID.createRandom(1));
+
+// Invalid UUIDs.
+shouldFail("Invalid UUID", () => CBOR.UUID('8c8a8d48-68b1-4a24-9d4b-0a3f1c2e7b9'));
+shouldFail("Invalid UUID", () => CBOR.UUID('8c8a8d4868b14a249d4b0a3f1c2e7b90'));
+shouldFail("16 byte string", () => CBOR.UUID(new Uint8Array(15)));
+shouldFail("16 byte string", () => CBOR.decode(CBOR.fromHex('d8254f' + '00'.repeat(15))));
+shouldFail("16 byte string", () => CBOR.decode(CBOR.fromHex('d82561' + '41')));
+shouldFail("16 byte string", () => CBOR.diagnosticNotation("37(h'00')"));
+
+console.log("UUID OK");
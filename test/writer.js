@@ -0,0 +1,55 @@
+// Test program for the streaming writer
+const CBOR = require('../src/cbor-js-api.js');
+const assertTrue = require('./assertions.js').assertTrue;
+const shouldFail = require('./assertions.js').shouldFail;
+
+let reference = CBOR.Map()
+    .set(CBOR.Int(1), CBOR.Float(45.7))
+    .set(CBOR.Int(2), CBOR.Array()
+        .add(CBOR.String("Hi there!"))
+        .add(CBOR.Tag(500, CBOR.Bytes(new Uint8Array([1, 2, 3]))))
+        .add(CBOR.BigInt(123456789123456789123456789n))
+        .add(CBOR.Null()))
+    .set(CBOR.String("empty"), CBOR.Map());
+let encoded = CBOR.Writer(true)
+    .beginMap(3)
+      .writeInt(1).writeFloat(45.7)
+      .writeInt(2).beginArray(4)
+        .writeString("Hi there!")
+        .writeTag(500).writeBytes(new Uint8Array([1, 2, 3]))
+        .writeBigInt(123456789123456789123456789n)
+        .writeNull()
+      .writeString("empty").beginMap(0)
+    .getEncoded();
+assertTrue("det", CBOR.compareArrays(encoded, reference.encode()) == 0);
+
+encoded = CBOR.Writer(false)
+    .beginArray()
+      .writeInt(1)
+      .beginMap().writeString("a").beginBytes()
+        .writeBytes(new Uint8Array([1])).writeBytes(new Uint8Array([2])).end()
+      .end()
+      .beginString().writeString("stream").writeString("ing").end()
+      .writeObject(CBOR.Bool(true))
+    .end()
+    .getEncoded();
+assertTrue("indef", CBOR.toHex(encoded) == '9f01bf61615f41014102ffff7f6673747265616d63696e67fff5ff');
+let decoder = CBOR.initExtended(encoded, false, true, false);
+assertTrue("indef-dec", CBOR.decodeExtended(decoder).toString() == 
+    '[1, {\n  "a": h\'0102\'\n}, "streaming", true]');
+
+shouldFail("not permitted", () => CBOR.Writer(true).beginArray());
+shouldFail("Non-deterministic order", () => 
+    CBOR.Writer(true).beginMap(2).writeInt(2).writeInt(0).writeInt(1));
+shouldFail("Duplicate", () => 
+    CBOR.Writer(true).beginMap(2).writeInt(2).writeInt(0).writeInt(2));
+shouldFail("Unfinished", () => CBOR.Writer(true).beginArray(2).writeInt(2).getEncoded());
+shouldFail("Unfinished", () => CBOR.Writer(true).writeTag(5).getEncoded());
+shouldFail("No open", () => CBOR.Writer(true).beginArray(1).end());
+shouldFail("Chunk type", () => CBOR.Writer(false).beginBytes().writeString("no"));
+shouldFail("Chunk type", () => CBOR.Writer(false).beginString().beginArray(0));
+shouldFail("without value", () => CBOR.Writer(false).beginMap().writeInt(1).end());
+
+encoded = CBOR.Writer(true).writeInt(5).beginMap(1).writeInt(5).writeBytes(new Uint8Array([0x6a, 0x6a]))
+    .getEncoded();
+assertTrue("sequence", CBOR.toHex(encoded) == '05a105426a6a');